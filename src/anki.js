@@ -0,0 +1,119 @@
+import { hashContent } from "./cache.js";
+import { escapeHtml } from "./site.js";
+import { algorithmTags, complexityPart, formatPseudocode } from "./sections.js";
+
+function html(text) {
+  return escapeHtml(text).replace(/\r?\n/g, "<br>");
+}
+
+function pre(text) {
+  return `<pre>${escapeHtml(text).replace(/\r?\n/g, "<br>")}</pre>`;
+}
+
+/**
+ * Anki matches re-imported notes on their GUID. Deriving it from the
+ * fixture's source file (else the fixture's own path, else its code) plus
+ * the card's slot keeps it stable when the wording changes, so a re-export
+ * updates cards instead of adding new ones. Titles are not unique enough.
+ */
+function cardId(fx, slot, fixtureFile) {
+  const meta = fx.metadata || {};
+  const identity =
+    meta.sourceFile ||
+    (fixtureFile && fixtureFile.split("\\").join("/")) ||
+    hashContent(fx.code || fx.title);
+  return hashContent(`${identity}\n${slot}`).slice(0, 16);
+}
+
+function cardTags(fx) {
+  return [fx.language, ...algorithmTags(fx)]
+    .filter(Boolean)
+    .map((tag) => tag.toLowerCase().replace(/\s+/g, "-"));
+}
+
+/**
+ * Builds flashcards for one fixture: complexity, pseudocode, one card per
+ * edge case and one per example. Each card is `{ id, front, back, tags }`
+ * with HTML fronts and backs. `fixtureFile` is the path the fixture was
+ * read from, used for card IDs when it records no source file.
+ */
+export function fixtureToCards(fx, fixtureFile = null) {
+  const name = html(fx.title);
+  const tags = cardTags(fx);
+  const cards = [];
+  const add = (slot, front, back) =>
+    cards.push({ id: cardId(fx, slot, fixtureFile), front, back, tags });
+
+  const time = complexityPart(fx.complexity, "time");
+  if (time) {
+    add("time", `What is the time complexity of ${name}?`, html(time));
+  }
+
+  const space = complexityPart(fx.complexity, "space");
+  if (space) {
+    add("space", `What is the space complexity of ${name}?`, html(space));
+  }
+
+  if (fx.pseudocode) {
+    add(
+      "pseudocode",
+      `Give the pseudocode for ${name}`,
+      pre(formatPseudocode(fx.pseudocode))
+    );
+  }
+
+  fx.edgeCases.forEach((edgeCase, idx) => {
+    add(
+      `edgeCase:${idx}`,
+      `${name}: name an edge case to test (${idx + 1} of ${
+        fx.edgeCases.length
+      })`,
+      html(edgeCase.trim())
+    );
+  });
+
+  fx.examples.forEach((ex, idx) => {
+    const note = ex.note ? `<br>${html(ex.note)}` : "";
+    add(
+      `example:${idx}`,
+      `${name}: what is the output for this input?${pre(ex.input || "")}`,
+      `${pre(ex.output || "")}${note}`
+    );
+  });
+
+  return cards;
+}
+
+/**
+ * Serializes cards as an Anki text import. The header lines tell Anki
+ * (2.1.55+) which columns hold the GUID, deck and tags, so the file
+ * imports with File > Import and no column mapping. A GUID already used in
+ * the file is re-derived, since Anki would merge the two notes.
+ */
+export function cardsToAnkiTsv(cards, { deck = "Code Notes" } = {}) {
+  const lines = [
+    "#separator:tab",
+    "#html:true",
+    "#notetype:Basic",
+    "#guid column:1",
+    "#deck column:2",
+    "#tags column:5",
+  ];
+
+  const used = new Set();
+  for (const card of cards) {
+    let id = card.id;
+    for (let n = 2; used.has(id); n++) {
+      id = hashContent(`${card.id}\n${n}`).slice(0, 16);
+    }
+    used.add(id);
+
+    lines.push(
+      [id, deck, card.front, card.back, card.tags.join(" ")]
+        .map((field) => field.replace(/\t/g, " "))
+        .join("\t")
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
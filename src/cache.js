@@ -0,0 +1,155 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const DEFAULT_CACHE_DIR = "llm_cache";
+
+const settings = {
+  enabled: true,
+  dir: process.env.CODE2NOTE_CACHE_DIR || DEFAULT_CACHE_DIR,
+  refreshStages: new Set(),
+};
+
+const stats = { hits: 0, misses: 0 };
+
+/**
+ * Updates cache behaviour for the current run.
+ * `refreshStages` lists stage names whose cached entries are ignored and rewritten.
+ */
+export function configureCache(options = {}) {
+  if (typeof options.enabled === "boolean") settings.enabled = options.enabled;
+  if (options.dir) settings.dir = options.dir;
+  if (options.refreshStages) {
+    settings.refreshStages = new Set(options.refreshStages);
+  }
+}
+
+export function getCacheStats() {
+  return { ...stats };
+}
+
+export function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Builds the content-addressed key for one stage response.
+ * Any change to the code, prompt template, provider, model, temperature or
+ * token limit yields a different key, so stale entries are never served.
+ */
+export function cacheKey(parts) {
+  const ordered = Object.keys(parts)
+    .sort()
+    .map((k) => [k, parts[k]]);
+  return hashContent(JSON.stringify(ordered));
+}
+
+function entryPath(key) {
+  return path.join(settings.dir, key.slice(0, 2), `${key}.json`);
+}
+
+async function readEntry(key) {
+  try {
+    return JSON.parse(await fs.readFile(entryPath(key), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function writeEntry(key, entry) {
+  const file = entryPath(key);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(entry, null, 2), "utf8");
+  } catch (err) {
+    // A cache that cannot be written should never fail generation.
+    console.warn("Cache write failed:", err.message || err);
+  }
+}
+
+/**
+ * Returns the cached value for `key`, or computes, stores and returns it.
+ * `meta.stage` and `meta.promptVersion` are stored alongside the value so
+ * `pruneCache` can drop entries from outdated prompt templates.
+ */
+export async function withCache(key, meta, compute) {
+  const refresh = settings.refreshStages.has(meta.stage);
+
+  if (settings.enabled && !refresh) {
+    const entry = await readEntry(key);
+    if (entry) {
+      stats.hits++;
+      console.log(`  (cache hit: ${meta.stage})`);
+      return entry.value;
+    }
+  }
+
+  stats.misses++;
+  const value = await compute();
+
+  if (settings.enabled || refresh) {
+    await writeEntry(key, {
+      ...meta,
+      createdAt: new Date().toISOString(),
+      value,
+    });
+  }
+
+  return value;
+}
+
+/**
+ * Removes cache entries that are older than `maxAgeDays`, belong to a prompt
+ * version no longer in `promptVersions`, or all entries when `all` is set.
+ */
+export async function pruneCache({
+  maxAgeDays = 30,
+  promptVersions = {},
+  all = false,
+} = {}) {
+  const result = { removed: 0, kept: 0 };
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+  let shards;
+  try {
+    shards = await fs.readdir(settings.dir);
+  } catch {
+    return result;
+  }
+
+  for (const shard of shards) {
+    const shardDir = path.join(settings.dir, shard);
+    const files = await fs.readdir(shardDir).catch(() => []);
+
+    for (const file of files) {
+      const filePath = path.join(shardDir, file);
+      let entry = null;
+      try {
+        entry = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch {
+        // Unreadable entries are pruned
+      }
+
+      const stale =
+        !entry ||
+        all ||
+        Date.parse(entry.createdAt) < cutoff ||
+        (promptVersions[entry.stage] !== undefined &&
+          promptVersions[entry.stage] !== entry.promptVersion);
+
+      if (stale) {
+        await fs.rm(filePath, { force: true });
+        result.removed++;
+      } else {
+        result.kept++;
+      }
+    }
+
+    const remaining = await fs.readdir(shardDir).catch(() => null);
+    if (remaining && remaining.length === 0) {
+      await fs.rmdir(shardDir).catch(() => {});
+    }
+  }
+
+  return result;
+}
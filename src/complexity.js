@@ -0,0 +1,563 @@
+import { lexerFor, splitSource } from "./lexer.js";
+import { complexityPart } from "./sections.js";
+
+/**
+ * Static Big-O estimator for heuristic mode. Works on source with comments
+ * and strings masked out (see lexer.js) and looks at:
+ *   - loop nesting, with each loop classed as constant, logarithmic
+ *     (halving/doubling) or linear in the input
+ *   - recursion, by the number of self-calls and whether arguments halve
+ *   - arrays and containers allocated with a size taken from a variable
+ * Costs are kept as { n, log, exp }: n^n * log^log, or exp^n when exp > 0.
+ */
+
+const ONE = { n: 0, log: 0, exp: 0 };
+const LINEAR = { n: 1, log: 0, exp: 0 };
+const LOG = { n: 0, log: 1, exp: 0 };
+
+function multiply(a, b) {
+  return {
+    n: a.n + b.n,
+    log: a.log + b.log,
+    exp: Math.max(a.exp, b.exp),
+  };
+}
+
+function compare(a, b) {
+  return a.exp - b.exp || a.n - b.n || a.log - b.log;
+}
+
+function max(a, b) {
+  return compare(a, b) >= 0 ? a : b;
+}
+
+export function formatCost(cost) {
+  if (cost.exp) return `O(${cost.exp}^n)`;
+
+  const parts = [];
+  if (cost.n === 1) parts.push("n");
+  if (cost.n > 1) parts.push(`n^${cost.n}`);
+  if (cost.log === 1) parts.push("log n");
+  if (cost.log > 1) parts.push(`log^${cost.log} n`);
+  return `O(${parts.join(" ") || "1"})`;
+}
+
+const KEYWORDS = new Set([
+  "if",
+  "for",
+  "while",
+  "switch",
+  "catch",
+  "return",
+  "sizeof",
+  "else",
+  "do",
+  "new",
+  "delete",
+  "throw",
+  "case",
+]);
+
+// Offsets of line starts, for mapping a character index to its line
+function lineIndex(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === "\n") starts.push(i + 1);
+  }
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+}
+
+function matchClose(code, open, openChar, closeChar) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === openChar) depth++;
+    else if (code[i] === closeChar && --depth === 0) return i;
+  }
+  return code.length;
+}
+
+/**
+ * Finds loops in brace languages as { keyword, header, at, start, end }:
+ * the offset of the keyword and the bounds of the loop body.
+ */
+function braceLoops(code) {
+  const loops = [];
+  const pattern = /\b(for|while|do)\b/g;
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    const keywordEnd = match.index + match[0].length;
+    let i = keywordEnd;
+    while (/\s/.test(code[i] || "")) i++;
+
+    // `} while (cond);` closes a do-while, whose `do` was already recorded
+    if (match[1] === "while") {
+      const before = code.slice(0, match.index).trimEnd();
+      if (before.endsWith("}")) {
+        const after = code.slice(matchClose(code, i, "(", ")") + 1);
+        if (/^\s*;/.test(after)) continue;
+      }
+    }
+
+    // Body: a braced block, or after a parenthesized header also a single
+    // statement up to `;` (Go and Rust headers have no parens but `;`s)
+    const parens = code[i] === "(";
+    if (parens) i = matchClose(code, i, "(", ")") + 1;
+
+    let j = i;
+    while (j < code.length && code[j] !== "{" && !(parens && code[j] === ";")) {
+      j++;
+    }
+    const end = code[j] === "{" ? matchClose(code, j, "{", "}") : j;
+
+    loops.push({
+      keyword: match[1],
+      header: code.slice(match.index, j),
+      at: match.index,
+      start: j,
+      end,
+    });
+  }
+
+  return loops;
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Python blocks: every line matching `header` with the following
+ * deeper-indented lines as its body. Returns { match, at, start, end }.
+ */
+function indentBlocks(code, header) {
+  const blocks = [];
+  const lines = code.split("\n");
+  let offset = 0;
+  const offsets = lines.map((line) => {
+    const start = offset;
+    offset += line.length + 1;
+    return start;
+  });
+
+  lines.forEach((line, idx) => {
+    const match = line.match(header);
+    if (!match) return;
+
+    const indent = indentOf(line);
+    let last = idx;
+    for (let k = idx + 1; k < lines.length; k++) {
+      if (!lines[k].trim()) continue;
+      if (indentOf(lines[k]) <= indent) break;
+      last = k;
+    }
+
+    blocks.push({
+      match,
+      at: offsets[idx],
+      start: offsets[idx] + line.length,
+      end: offsets[last] + lines[last].length,
+    });
+  });
+
+  return blocks;
+}
+
+function indentLoops(code) {
+  return indentBlocks(code, /^\s*(for|while)\b(.*):\s*$/).map((block) => ({
+    keyword: block.match[1],
+    header: block.match[0].trim(),
+    at: block.at,
+    start: block.start,
+    end: block.end,
+  }));
+}
+
+const TEST_CASE_LOOP =
+  /^while\s*\(\s*(t|tc|tt|q|tests?|cases?)\s*--\s*\)|for\s+_\s+in\s+range\(\s*(t|int\(input\(\)\))\s*\)/;
+const HALVING =
+  /(\*=|\/=|>>=|<<=)\s*\d|\/\/=\s*\d|\b(\w+)\s*=\s*\2\s*(\*|\/\/?|>>|<<)\s*\d/;
+const BISECTION =
+  /\b(lo|low|left|l|hi|high|right|r|start|end|begin)\s*=\s*mid\b/;
+const CONSTANT_BOUND =
+  /;\s*\w+\s*<=?\s*\d+\s*;|\brange\(\s*\d+\s*(,\s*\d+\s*)?\)|\.\.=?\s*\d+\b|\bin\s+\d+\s*\.\.\s*\d+/;
+
+/**
+ * Classes one loop as "test-case" (outer loop over test cases, ignored),
+ * "constant", "log" or "linear".
+ */
+function loopKind(loop, body) {
+  const header = loop.header.replace(/\s+/g, " ").trim();
+  if (TEST_CASE_LOOP.test(header)) return "test-case";
+  if (HALVING.test(header)) return "log";
+  if (CONSTANT_BOUND.test(header)) return "constant";
+  if (loop.keyword !== "for" && (HALVING.test(body) || BISECTION.test(body))) {
+    return "log";
+  }
+  return "linear";
+}
+
+const KIND_COST = { constant: ONE, log: LOG, linear: LINEAR, "test-case": ONE };
+
+/**
+ * Finds function definitions as { name, at, start, end }: the offset of the
+ * definition and the bounds of its body.
+ */
+function functions(code, indentBased) {
+  if (indentBased) {
+    return indentBlocks(code, /^\s*def\s+(\w+)\s*\(/).map((block) => ({
+      name: block.match[1],
+      at: block.at,
+      start: block.start,
+      end: block.end,
+    }));
+  }
+
+  const found = [];
+  const pattern = /\b([A-Za-z_]\w*)\s*\(/g;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    if (KEYWORDS.has(match[1])) continue;
+
+    const open = match.index + match[0].length - 1;
+    const close = matchClose(code, open, "(", ")");
+    // Allow `const`, `throws X`, `-> T` or `: T` between `)` and `{`
+    const between = code.slice(close + 1, close + 80);
+    const body = between.match(
+      /^\s*(?:const\b|throws\s+[\w.,\s]+|->\s*[^{;]+|:\s*[^{;=]+)?\s*\{/
+    );
+    if (!body) continue;
+
+    const start = close + 1 + body[0].length - 1;
+    found.push({
+      name: match[1],
+      at: match.index,
+      start,
+      end: matchClose(code, start, "{", "}"),
+    });
+    pattern.lastIndex = start;
+  }
+
+  return found;
+}
+
+const HALVED_ARGUMENT = /\bmid\b|\/\s*2\b|>>\s*1\b|\/\/\s*2\b|\bn\s*\/\s*\d/;
+const MEMOIZED = /memo|\bdp\b|cache|lru_cache/i;
+
+/**
+ * Time and stack cost of each recursive function.
+ */
+function recursionCosts(code, funcs, loops, lineOf) {
+  const results = [];
+
+  for (const fn of funcs) {
+    const body = code.slice(fn.start, fn.end);
+    const callPattern = new RegExp(`\\b${fn.name}\\s*\\(([^;\\n)]*)`, "g");
+    const calls = [...body.matchAll(callPattern)];
+    if (calls.length === 0) continue;
+
+    // `return f(a)` in separate branches are alternatives, not extra calls
+    const returned = calls.filter((c) =>
+      /\breturn\s*$/.test(body.slice(0, c.index))
+    );
+    const branches = calls.length - returned.length + (returned.length ? 1 : 0);
+    const halving = calls.some((c) => HALVED_ARGUMENT.test(c[1]));
+    const inside = (l) => l.start > fn.start && l.end <= fn.end;
+    const innerLoop = loops.some((l) => inside(l) && l.kind === "linear");
+    const callInLoop = calls.some((c) =>
+      loops.some(
+        (l) =>
+          inside(l) &&
+          fn.start + c.index > l.start &&
+          fn.start + c.index < l.end
+      )
+    );
+    const otherCalls = funcs.some(
+      (other) =>
+        other !== fn && new RegExp(`\\b${other.name}\\s*\\(`).test(body)
+    );
+
+    let time;
+    let stack;
+    let reason;
+    if (callInLoop) {
+      time = LINEAR;
+      stack = LINEAR;
+      reason = "traversal recursing once per neighbour";
+    } else if (branches === 1 && halving) {
+      time = innerLoop ? LINEAR : LOG;
+      stack = LOG;
+      reason = "recursion on half the input";
+    } else if (branches === 1) {
+      time = innerLoop ? { n: 2, log: 0, exp: 0 } : LINEAR;
+      stack = LINEAR;
+      reason = "linear recursion";
+    } else if (halving) {
+      time = innerLoop || otherCalls ? { n: 1, log: 1, exp: 0 } : LINEAR;
+      stack = LOG;
+      reason = `divide and conquer with ${branches} recursive calls`;
+    } else if (MEMOIZED.test(body)) {
+      time = LINEAR;
+      stack = LINEAR;
+      reason = "memoized recursion (one visit per state)";
+    } else {
+      time = { n: 0, log: 0, exp: branches };
+      stack = LINEAR;
+      reason = `${branches} recursive calls per level`;
+    }
+
+    results.push({
+      name: fn.name,
+      line: lineOf(fn.at),
+      time,
+      stack,
+      reason,
+    });
+  }
+
+  return results;
+}
+
+// Constants such as MAXN or N are not input sizes
+function sizedByInput(expr) {
+  return /\b(?![A-Z_0-9]+\b)[A-Za-z_]\w*/.test(expr);
+}
+
+// Keywords and operators that can precede indexing: `if a[mid] < x`
+const NOT_A_TYPE =
+  "(?!(?:return|else|case|delete|del|if|elif|while|until|unless|for|in|" +
+  "and|or|not|is|assert|yield|await|throw|sizeof|typeof|print|echo)\\b)";
+
+const ALLOCATIONS = [
+  // vector<vector<int>> dp(n, vector<int>(m))
+  {
+    pattern: /vector\s*<\s*vector\s*<[^;]*?>\s*>\s*\w+\s*\(([^;]*)\)/g,
+    dims: 2,
+  },
+  { pattern: /vector\s*<[^;>]*>\s*\w+\s*\(([^,;)]*)/g, dims: 1 },
+  // int dp[n][m], int a[n]
+  {
+    pattern: new RegExp(
+      `\\b${NOT_A_TYPE}\\w+\\s+\\w+\\s*\\[([^\\]]+)\\]\\s*\\[([^\\]]+)\\]`,
+      "g"
+    ),
+    dims: 2,
+  },
+  {
+    pattern: new RegExp(`\\b${NOT_A_TYPE}\\w+\\s+\\w+\\s*\\[([^\\]]+)\\]`, "g"),
+    dims: 1,
+  },
+  { pattern: /\bnew\s+[\w<>]+\s*\[([^\]]+)\]/g, dims: 1 },
+  {
+    pattern: /\bnew\s+Array\s*\(([^)]+)\)|\bArray\s*\(([^)]+)\)\.fill/g,
+    dims: 1,
+  },
+  { pattern: /\bArray\.from\s*\(\s*\{\s*length\s*:\s*([^}]+)\}/g, dims: 1 },
+  { pattern: /\bmake\s*\(\s*\[\][^,]*,\s*([^,)]+)/g, dims: 1 },
+  { pattern: /\bvec!\s*\[[^;\]]*;\s*([^\]]+)\]/g, dims: 1 },
+  // [[0] * m for _ in range(n)]
+  {
+    pattern:
+      /\[\s*\[[^\]]*\]\s*\*\s*([^\]]+?)\s+for\s+\w+\s+in\s+range\(([^)]+)\)/g,
+    dims: 2,
+  },
+  // [0] * (n + 1)
+  {
+    pattern:
+      /(?:=|\(|,|return)\s*\[[^\][]*\]\s*\*\s*\(?\s*([A-Za-z_][\w+\- ]*)/g,
+    dims: 1,
+  },
+];
+
+function allocations(code, lineOf) {
+  const found = [];
+  const seen = new Set();
+
+  for (const { pattern, dims } of ALLOCATIONS) {
+    for (const match of code.matchAll(pattern)) {
+      const line = lineOf(match.index);
+      if (seen.has(line)) continue;
+
+      const sizes = match.slice(1).filter(Boolean);
+      const inputDims =
+        dims === 2 && sizes.length === 1
+          ? // vector<vector<T>> v(n, vector<T>(m)): both sizes in one group
+            (
+              sizes[0].match(
+                /\b(?![A-Z_0-9]+\b)[A-Za-z_]\w*\b(?=\s*[,)]|\s*$)/g
+              ) || []
+            ).length
+          : sizes.filter(sizedByInput).length;
+      if (inputDims === 0) continue;
+
+      seen.add(line);
+      found.push({
+        line,
+        cost: { n: Math.min(inputDims, dims), log: 0, exp: 0 },
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Estimates time and space complexity of `code`. Returns
+ * `{ time, space, explanation, drivers }` where time/space are Big-O
+ * strings and drivers lists `{ line, reason }` for the lines behind them.
+ */
+export function estimateComplexity(code, language) {
+  const { code: masked } = splitSource(code, language);
+  const indentBased = lexerFor(language) === "python";
+  const lineOf = lineIndex(masked);
+
+  const loops = (indentBased ? indentLoops(masked) : braceLoops(masked)).map(
+    (loop) => {
+      const kind = loopKind(loop, masked.slice(loop.start, loop.end));
+      return { ...loop, kind, line: lineOf(loop.at) };
+    }
+  );
+
+  // Cost of the deepest chain of nested loops
+  let time = ONE;
+  let timeDrivers = [];
+  for (const loop of loops) {
+    const chain = loops.filter(
+      (outer) => outer.start <= loop.start && outer.end >= loop.end
+    );
+    const cost = chain.reduce(
+      (acc, l) => multiply(acc, KIND_COST[l.kind]),
+      ONE
+    );
+    if (compare(cost, time) > 0) {
+      time = cost;
+      timeDrivers = chain
+        .filter((l) => l.kind !== "test-case")
+        .map((l) => ({ line: l.line, reason: `${l.kind} loop` }));
+    }
+  }
+
+  let space = ONE;
+  let spaceDrivers = [];
+  const funcs = functions(masked, indentBased);
+
+  for (const rec of recursionCosts(masked, funcs, loops, lineOf)) {
+    if (compare(rec.time, time) > 0) {
+      time = rec.time;
+      timeDrivers = [{ line: rec.line, reason: `${rec.name}: ${rec.reason}` }];
+    }
+    if (compare(rec.stack, space) > 0) {
+      space = rec.stack;
+      spaceDrivers = [
+        { line: rec.line, reason: `${rec.name}: recursion depth` },
+      ];
+    }
+  }
+
+  for (const alloc of allocations(masked, lineOf)) {
+    if (compare(alloc.cost, space) > 0) {
+      space = alloc.cost;
+      spaceDrivers = [];
+    }
+    if (compare(alloc.cost, space) === 0) {
+      spaceDrivers.push({
+        line: alloc.line,
+        reason: "allocation sized by input",
+      });
+    }
+  }
+
+  const describe = (drivers) =>
+    drivers.map((d) => `${d.reason} (line ${d.line})`).join(", ");
+
+  const perTest = loops.some((l) => l.kind === "test-case")
+    ? " per test case"
+    : "";
+  const explanation = [
+    `Time ${formatCost(time)}${perTest}: ${
+      describe(timeDrivers) || "no input-dependent loops or recursion"
+    }.`,
+    `Space ${formatCost(space)}: ${
+      describe(spaceDrivers) || "no input-sized allocations or deep recursion"
+    }.`,
+  ].join(" ");
+
+  return {
+    time: formatCost(time),
+    space: formatCost(space),
+    explanation,
+    drivers: [...timeDrivers, ...spaceDrivers],
+  };
+}
+
+/**
+ * Rough rank of a Big-O expression for comparisons, e.g. "O(n log n)"
+ * -> { n: 1, log: 1, exp: 0 }. Multi-variable terms count each variable
+ * as n, so O(n*m) ranks with O(n^2) and O(V + E) with O(n).
+ */
+export function parseBigO(text) {
+  const match = String(text || "").match(/O\s*\(((?:[^()]|\([^()]*\))*)\)/i);
+  if (!match) return null;
+
+  const expr = match[1].toLowerCase().replace(/²/g, "^2").replace(/³/g, "^3");
+
+  if (/\d\s*\^\s*[a-z]|[a-z]\s*!|\^\s*n\b/.test(expr)) {
+    const base = expr.match(/(\d+)\s*\^/);
+    return { n: 0, log: 0, exp: base ? Number(base[1]) : 2 };
+  }
+
+  let best = ONE;
+  for (const term of expr.split("+")) {
+    const log = (term.match(/log/g) || []).length;
+    const withoutLogs = term.replace(
+      /log\s*\^?\s*\d*\s*\(?\s*[a-z]?\s*\)?/g,
+      ""
+    );
+    let n = 0;
+    for (const m of withoutLogs.matchAll(/([a-z])\s*(?:\^\s*(\d+))?/g)) {
+      n += m[2] ? Number(m[2]) : 1;
+    }
+    best = max(best, { n, log, exp: 0 });
+  }
+  return best;
+}
+
+export function sameComplexity(a, b) {
+  const pa = parseBigO(a);
+  const pb = parseBigO(b);
+  return !pa || !pb || compare(pa, pb) === 0;
+}
+
+/**
+ * Compares a "Time: ..., Space: ..." summary with the static estimate for
+ * `code`. Returns `{ agrees, estimate, disagreements }`, where each
+ * disagreement is `{ part, reported, estimated }`. Parts the summary does
+ * not state, or states in a form parseBigO cannot read, are not compared.
+ */
+export function checkComplexity(summary, code, language) {
+  const estimate = estimateComplexity(code, language);
+  const disagreements = [];
+
+  for (const part of ["time", "space"]) {
+    const reported = complexityPart(summary, part);
+    if (reported && !sameComplexity(reported, estimate[part])) {
+      disagreements.push({ part, reported, estimated: estimate[part] });
+    }
+  }
+
+  return {
+    agrees: disagreements.length === 0,
+    estimate: { time: estimate.time, space: estimate.space },
+    explanation: estimate.explanation,
+    disagreements,
+  };
+}
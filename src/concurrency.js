@@ -0,0 +1,98 @@
+/**
+ * Runs async task factories with at most `limit` in flight.
+ * Resolves to a Promise.allSettled-style array in task order, so one
+ * rejected task never hides the results of the others.
+ */
+export async function runWithConcurrency(tasks, limit = 3) {
+  const results = new Array(tasks.length);
+  const cap = Math.max(1, Math.min(limit || 1, tasks.length));
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length) {
+      const idx = next++;
+      try {
+        results[idx] = { status: "fulfilled", value: await tasks[idx]() };
+      } catch (reason) {
+        results[idx] = { status: "rejected", reason };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: cap }, worker));
+  return results;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function errorStatus(err) {
+  if (!err) return undefined;
+  return err.status ?? err.statusCode ?? err.httpResponse?.status;
+}
+
+function errorHeader(err, name) {
+  const headers = err?.headers;
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Rate limits (429) and server errors (5xx) are transient; everything else
+ * (bad request, auth, invalid JSON) fails the same way on every attempt.
+ */
+export function isRetryableError(err) {
+  const status = errorStatus(err);
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Delay requested by the provider via `Retry-After` (seconds or HTTP date)
+ * or `retry-after-ms`, or null when none was sent.
+ */
+export function retryAfterMs(err) {
+  const ms = Number(errorHeader(err, "retry-after-ms"));
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+
+  const value = errorHeader(err, "retry-after");
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Calls `fn` until it succeeds, retrying retryable errors with exponential
+ * backoff plus jitter. A provider's Retry-After always takes precedence.
+ */
+export async function withRetry(
+  fn,
+  {
+    retries = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    label = "request",
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryableError(err)) throw err;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const jitter = Math.random() * backoff * 0.2;
+      const delay = Math.min(maxDelayMs, retryAfterMs(err) ?? backoff + jitter);
+
+      console.warn(
+        `  ${label} failed with ${errorStatus(err)}; retrying in ${
+          Math.round(delay / 100) / 10
+        }s (attempt ${attempt + 2}/${retries + 1})`
+      );
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,265 @@
+import fs from "fs/promises";
+import path from "path";
+import { FIXTURE_SCHEMA } from "./fixtures.js";
+import { judgeLabel } from "./problem.js";
+import { resolveProviderName } from "./providers.js";
+import { validate } from "./schema.js";
+
+/**
+ * Project configuration read from `code2note.config.json` or `.code2noterc`
+ * (both JSON) in the working directory or the nearest parent with one.
+ * The file only supplies defaults: environment variables override it and
+ * CLI flags override both. Secrets (API keys, NOTION_TOKEN) stay in the
+ * environment.
+ */
+
+export const CONFIG_FILES = ["code2note.config.json", ".code2noterc"];
+
+export const MODES = ["heuristic", "llm", "hybrid"];
+export const NOTION_MODES = ["create", "update", "upsert"];
+export const OUTPUT_FORMATS = ["json", "markdown"];
+
+const STAGE_SCHEMA = {
+  type: "object",
+  properties: {
+    enabled: { type: "boolean" },
+    provider: { type: "string", minLength: 1 },
+    model: { type: "string", minLength: 1 },
+    temperature: { type: "number" },
+    maxTokens: { type: "number" },
+    prompt: { type: "string", minLength: 1 },
+    field: { type: "string", minLength: 1 },
+    heading: { type: "string", minLength: 1 },
+    schema: { type: "object" },
+  },
+};
+
+// Settings that only make sense for stages declared in the config
+const CUSTOM_STAGE_KEYS = ["field", "heading", "schema"];
+
+const SCHEMA_TYPES = ["object", "array", "string", "number", "boolean"];
+
+export const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    mode: { type: "string" },
+    provider: { type: "string", minLength: 1 },
+    model: { type: "string", minLength: 1 },
+    cache: { type: "boolean" },
+    concurrency: { type: "number" },
+    maxRetries: { type: "number" },
+    jobs: { type: "number" },
+    rules: { type: "array", items: { type: "string", minLength: 1 } },
+    stages: { type: "object" },
+    output: {
+      type: "object",
+      properties: {
+        dir: { type: "string", minLength: 1 },
+        name: { type: "string", minLength: 1 },
+        formats: {
+          type: "array",
+          minItems: 1,
+          items: { type: "string" },
+        },
+      },
+    },
+    notion: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        mode: { type: "string" },
+        databaseId: { type: "string", minLength: 1 },
+        parentPageId: { type: "string", minLength: 1 },
+      },
+    },
+  },
+};
+
+function oneOf(errors, label, value, allowed) {
+  if (value !== undefined && !allowed.includes(value)) {
+    errors.push(`${label}: expected ${allowed.join("|")}, got '${value}'`);
+  }
+}
+
+function provider(errors, label, value) {
+  if (value === undefined) return;
+  try {
+    resolveProviderName(value);
+  } catch (err) {
+    errors.push(`${label}: ${err.message}`);
+  }
+}
+
+function integerAtLeast(errors, label, value, min = 1) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= min)) {
+    errors.push(`${label}: expected an integer >= ${min}`);
+  }
+}
+
+/**
+ * Checks a parsed config against CONFIG_SCHEMA plus the value ranges the
+ * CLI accepts. `stageNames` are the built-in stages; any other key of
+ * `stages` declares a custom stage. Returns a list of problems; empty when
+ * the config is valid.
+ */
+export function checkConfig(config, stageNames) {
+  const errors = validate(CONFIG_SCHEMA, config, "config");
+  if (errors.length) return errors;
+
+  const known = Object.keys(CONFIG_SCHEMA.properties);
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) errors.push(`config.${key}: unknown setting`);
+  }
+
+  oneOf(errors, "config.mode", config.mode, MODES);
+  provider(errors, "config.provider", config.provider);
+  integerAtLeast(errors, "config.concurrency", config.concurrency);
+  integerAtLeast(errors, "config.maxRetries", config.maxRetries, 0);
+  integerAtLeast(errors, "config.jobs", config.jobs);
+
+  for (const format of (config.output && config.output.formats) || []) {
+    oneOf(errors, "config.output.formats", format, OUTPUT_FORMATS);
+  }
+  const notionMode = config.notion && config.notion.mode;
+  oneOf(errors, "config.notion.mode", notionMode, NOTION_MODES);
+
+  const fields = new Map();
+  for (const [stage, settings] of Object.entries(config.stages || {})) {
+    const label = `config.stages.${stage}`;
+    const stageErrors = validate(STAGE_SCHEMA, settings, label);
+    if (stageErrors.length) {
+      errors.push(...stageErrors);
+      continue;
+    }
+    provider(errors, `${label}.provider`, settings.provider);
+    integerAtLeast(errors, `${label}.maxTokens`, settings.maxTokens);
+
+    if (stageNames.includes(stage)) {
+      for (const key of CUSTOM_STAGE_KEYS) {
+        if (settings[key] !== undefined) {
+          errors.push(`${label}.${key}: only custom stages take this setting`);
+        }
+      }
+    } else {
+      errors.push(...checkCustomStage(stage, settings, label, fields));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a stage the config adds: it needs a prompt, and its fixture field
+ * must be a plain name that no built-in field or other stage uses.
+ */
+function checkCustomStage(stage, settings, label, fields) {
+  const errors = [];
+  if (!settings.prompt) {
+    errors.push(`${label}: unknown stage (custom stages need a prompt)`);
+    return errors;
+  }
+
+  const field = settings.field || stage;
+  if (!/^[A-Za-z_]\w*$/.test(field)) {
+    errors.push(`${label}.field: expected a plain name, got '${field}'`);
+  } else if (Object.hasOwn(FIXTURE_SCHEMA.properties, field)) {
+    errors.push(`${label}.field: '${field}' is a built-in note field`);
+  } else if (fields.has(field)) {
+    errors.push(
+      `${label}.field: '${field}' is already used by ${fields.get(field)}`
+    );
+  }
+  fields.set(field, stage);
+
+  if (settings.schema) {
+    oneOf(errors, `${label}.schema.type`, settings.schema.type, SCHEMA_TYPES);
+  }
+  return errors;
+}
+
+/**
+ * Path of the config file for `dir`: the first of CONFIG_FILES found in it
+ * or its nearest parent, or null.
+ */
+export async function findConfigFile(dir = process.cwd()) {
+  for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(current, name);
+      const stat = await fs.stat(candidate).catch(() => null);
+      if (stat && stat.isFile()) return candidate;
+    }
+    if (path.dirname(current) === current) return null;
+  }
+}
+
+/**
+ * Loads and checks the config for `dir` (`stageNames` as for checkConfig).
+ * Returns `{ file, config }`, with an empty config and a null file when
+ * there is none. Paths in the config (`output.dir`, `rules`, stage
+ * `prompt`s) are resolved against the file's directory. Throws when the
+ * file is not JSON or not a valid config, listing every problem, or when a
+ * prompt file is missing.
+ */
+export async function loadConfig(stageNames, dir = process.cwd()) {
+  const file = await findConfigFile(dir);
+  if (!file) return { file: null, config: {} };
+
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+
+  const errors = checkConfig(config, stageNames);
+  if (errors.length) {
+    throw new Error(`${file}: invalid config: ${errors.join("; ")}`);
+  }
+
+  const base = path.dirname(file);
+  if (config.output && config.output.dir) {
+    config.output = {
+      ...config.output,
+      dir: path.resolve(base, config.output.dir),
+    };
+  }
+  if (config.rules) {
+    config.rules = config.rules.map((rule) => path.resolve(base, rule));
+  }
+  for (const [stage, settings] of Object.entries(config.stages || {})) {
+    if (!settings.prompt) continue;
+    settings.prompt = path.resolve(base, settings.prompt);
+    const stat = await fs.stat(settings.prompt).catch(() => null);
+    if (!stat || !stat.isFile()) {
+      throw new Error(
+        `${file}: config.stages.${stage}.prompt: no such file ${settings.prompt}`
+      );
+    }
+  }
+
+  return { file, config };
+}
+
+// Characters that cannot appear in a file name on common file systems
+const UNSAFE_NAME = /[\\/:*?"<>|\x00-\x1f]/g;
+
+/**
+ * Fixture file name (without `.json`) from an `output.name` pattern.
+ * Placeholders: {title}, {file} (source name without extension),
+ * {language}, {judge} (e.g. "Codeforces 1777A") and {date} (YYYY-MM-DD).
+ * Slashes in the pattern itself create subdirectories.
+ */
+export function outputName(pattern, note, filePath) {
+  const values = {
+    title: note.title,
+    file: path.basename(filePath, path.extname(filePath)),
+    language: note.language,
+    judge: judgeLabel(note.metadata && note.metadata.judge),
+    date: new Date().toISOString().slice(0, 10),
+  };
+
+  const name = pattern.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? String(values[key] || "").replace(UNSAFE_NAME, "-") : match
+  );
+  return name.trim() || values.file;
+}
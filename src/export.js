@@ -0,0 +1,157 @@
+import {
+  HEURISTIC_NOTICE,
+  algorithmTags,
+  complexityPart,
+  formatPseudocode,
+  hasSection,
+  isHeuristicSourced,
+  metadataSummary,
+  noteSections,
+  unitHeading,
+  verificationNotice,
+} from "./sections.js";
+
+// Double-quoted JSON strings are valid YAML scalars.
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+// Obsidian tags cannot contain spaces.
+function tagName(name) {
+  return name.toLowerCase().replace(/\s+/g, "-");
+}
+
+function frontMatter(fx) {
+  const meta = fx.metadata || {};
+  const lines = [
+    "---",
+    `title: ${yamlString(fx.title || "Code Note")}`,
+    `language: ${yamlString(fx.language || "unknown")}`,
+  ];
+
+  const time = complexityPart(fx.complexity, "time");
+  const space = complexityPart(fx.complexity, "space");
+  if (time || space) {
+    lines.push("complexity:");
+    if (time) lines.push(`  time: ${yamlString(time)}`);
+    if (space) lines.push(`  space: ${yamlString(space)}`);
+  }
+
+  const tags = algorithmTags(fx).map(tagName);
+  lines.push(`tags: [${tags.map(yamlString).join(", ")}]`);
+
+  const extra = [
+    ["source", meta.sourceFile],
+    ["generated", meta.generatedAt],
+    ["mode", meta.mode],
+    ["tests", meta.testFile],
+  ];
+  if (meta.judge) {
+    extra.push(
+      ["judge", meta.judge.judge],
+      ["contest", meta.judge.contest],
+      ["problem_index", meta.judge.index],
+      ["url", meta.judge.url]
+    );
+  }
+  for (const [key, value] of extra) {
+    if (value) lines.push(`${key}: ${yamlString(value)}`);
+  }
+
+  lines.push("---");
+  return lines.join("\n");
+}
+
+// A fence longer than any backtick run inside the code.
+function codeFence(text, language = "") {
+  const longest = Math.max(
+    0,
+    ...(text.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(Math.max(3, longest + 1));
+  return `${fence}${language}\n${text.replace(/\n+$/, "")}\n${fence}`;
+}
+
+function callout(type, text) {
+  const [first, ...rest] = text.split("\n");
+  return [
+    `> [!${type}] ${first}`,
+    ...rest.map((line) => (line ? `> ${line}` : ">")),
+  ].join("\n");
+}
+
+function sectionMarkdown(fx, section, language) {
+  const value = fx[section.field];
+
+  switch (section.kind) {
+    case "prose":
+      return value.trim();
+    case "pseudocode":
+      return codeFence(formatPseudocode(value));
+    case "diagram":
+      return codeFence(value);
+    case "data":
+      return codeFence(JSON.stringify(value, null, 2), "json");
+    case "list":
+      return value.map((item) => `- ${item.trim()}`).join("\n");
+    case "examples":
+      return value
+        .map((ex, idx) => {
+          const notice = verificationNotice(ex);
+          return [
+            `### Example ${idx + 1} — Input`,
+            codeFence(ex.input || "", language),
+            `### Example ${idx + 1} — Output`,
+            codeFence(ex.output || ""),
+            notice && callout(notice.style, notice.text),
+            ex.note,
+          ]
+            .filter(Boolean)
+            .join("\n\n");
+        })
+        .join("\n\n");
+    case "units":
+      return value
+        .map((unit) =>
+          [
+            `### ${unitHeading(unit)}`,
+            unit.approach && unit.approach.trim(),
+            unit.complexity && `**Complexity:** ${unit.complexity.trim()}`,
+            unit.pseudocode && codeFence(formatPseudocode(unit.pseudocode)),
+            unit.code && codeFence(unit.code, language),
+          ]
+            .filter(Boolean)
+            .join("\n\n")
+        )
+        .join("\n\n");
+    case "code":
+      return codeFence(value, language);
+    default:
+      return "";
+  }
+}
+
+/**
+ * Renders a fixture as a markdown note with YAML front matter, using the
+ * same sections as the Notion page. Callouts use Obsidian syntax, which
+ * other renderers show as plain block quotes.
+ */
+export function fixtureToMarkdown(fx) {
+  const language = (fx.language || "").toLowerCase();
+  const parts = [frontMatter(fx), `# ${fx.title || "Code Note"}`];
+
+  const summary = metadataSummary(fx);
+  if (summary) parts.push(callout("info", summary));
+
+  for (const section of noteSections(fx)) {
+    if (!hasSection(fx, section)) continue;
+
+    parts.push(`## ${section.heading}`);
+    if (isHeuristicSourced(fx, section.field)) {
+      parts.push(callout("warning", HEURISTIC_NOTICE));
+    }
+    parts.push(sectionMarkdown(fx, section, language));
+  }
+
+  return parts.join("\n\n") + "\n";
+}
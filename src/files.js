@@ -0,0 +1,181 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Source extensions picked up when expanding directories and globs
+export const SUPPORTED_EXTENSIONS = new Set([
+  "c",
+  "cc",
+  "cpp",
+  "cxx",
+  "h",
+  "hpp",
+  "java",
+  "js",
+  "mjs",
+  "cjs",
+  "jsx",
+  "ts",
+  "tsx",
+  "py",
+  "go",
+  "rs",
+  "rb",
+  "php",
+  "cs",
+  "kt",
+  "swift",
+  "scala",
+  "dart",
+  "r",
+  "sql",
+  "sh",
+]);
+
+const IGNORED_DIRS = new Set(["node_modules", ".git", "fixtures", "llm_cache"]);
+
+export function isSupportedFile(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  return SUPPORTED_EXTENSIONS.has(ext);
+}
+
+// `<name>.test.<ext>` files are the harnesses that --tests writes
+export function isTestHarness(filePath) {
+  return /\.test\.\w+$/i.test(path.basename(filePath));
+}
+
+// True when a directory on the relative path is one `walk` skips
+export function isIgnoredPath(relPath) {
+  return relPath.split(/[\\/]/).some((part) => IGNORED_DIRS.has(part));
+}
+
+export function hasGlobChars(pattern) {
+  return /[*?{[]/.test(pattern);
+}
+
+/**
+ * Converts a glob (`*`, `**`, `?`, `{a,b}`, `[abc]`) into a RegExp matched
+ * against forward-slash paths.
+ */
+export function globToRegExp(pattern) {
+  let re = "";
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === "*") {
+      if (pattern[i + 1] === "*") {
+        // `**/` matches zero or more whole directories
+        const slash = pattern[i + 2] === "/";
+        re += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{") {
+      inGroup = true;
+      re += "(?:";
+    } else if (ch === "}" && inGroup) {
+      inGroup = false;
+      re += ")";
+    } else if (ch === "," && inGroup) {
+      re += "|";
+    } else if (ch === "[") {
+      const end = pattern.indexOf("]", i);
+      if (end > i) {
+        re += pattern.slice(i, end + 1);
+        i = end;
+      } else {
+        re += "\\[";
+      }
+    } else {
+      re += ch.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${re}$`);
+}
+
+async function walk(dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.has(entry.name)) files.push(...(await walk(full)));
+    } else if (entry.isFile() && !isTestHarness(entry.name)) {
+      files.push(full);
+    }
+  }
+
+  return files;
+}
+
+async function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join("/");
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex(hasGlobChars);
+  const base = segments.slice(0, firstGlob).join("/") || ".";
+  const matcher = globToRegExp(segments.slice(firstGlob).join("/"));
+
+  const files = await walk(base);
+  return files.filter((file) => {
+    const rel = path.relative(base, file).split(path.sep).join("/");
+    return matcher.test(rel);
+  });
+}
+
+/**
+ * Expands CLI inputs (files, directories, globs) into a sorted, de-duplicated
+ * list of source files. Files named explicitly are always kept; files found
+ * through a directory or glob are skipped unless their extension is supported,
+ * and test files written by --tests are left out. Inputs that match nothing are reported in `missing`.
+ */
+export async function expandInputs(inputs) {
+  const files = new Set();
+  const skipped = new Set();
+  const missing = [];
+
+  for (const input of inputs) {
+    let found;
+
+    if (hasGlobChars(input)) {
+      found = await expandGlob(input);
+    } else {
+      const stat = await fs.stat(input).catch(() => null);
+      if (!stat) {
+        missing.push(input);
+        continue;
+      }
+      if (stat.isFile()) {
+        files.add(path.normalize(input));
+        continue;
+      }
+      found = await walk(input);
+    }
+
+    if (found.length === 0) missing.push(input);
+
+    for (const file of found) {
+      if (isSupportedFile(file)) {
+        files.add(path.normalize(file));
+      } else {
+        skipped.add(path.normalize(file));
+      }
+    }
+  }
+
+  return {
+    files: [...files].sort(),
+    skipped: [...skipped].sort(),
+    missing,
+  };
+}
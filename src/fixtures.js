@@ -0,0 +1,114 @@
+import fs from "fs/promises";
+import path from "path";
+import { validate } from "./schema.js";
+
+/**
+ * Shape of a saved note. Only the title is required; missing sections are
+ * simply not rendered.
+ */
+export const FIXTURE_SCHEMA = {
+  type: "object",
+  required: ["title"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    language: { type: "string" },
+    problem: { type: "string" },
+    overview: { type: "string" },
+    modules: { type: "array", items: { type: "string" } },
+    dependencyGraph: { type: "string" },
+    approach: { type: "string" },
+    pseudocode: { type: "string" },
+    complexity: { type: "string" },
+    edgeCases: { type: "array", items: { type: "string" } },
+    examples: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          input: { type: "string" },
+          output: { type: "string" },
+          note: { type: "string" },
+          verification: {
+            type: "object",
+            required: ["status"],
+            properties: {
+              status: { type: "string" },
+              expected: { type: "string" },
+              error: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    units: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          kind: { type: "string" },
+          startLine: { type: "number" },
+          endLine: { type: "number" },
+          approach: { type: "string" },
+          pseudocode: { type: "string" },
+          complexity: { type: "string" },
+          code: { type: "string" },
+        },
+      },
+    },
+    explanation: { type: "string" },
+    code: { type: "string" },
+    metadata: { type: "object" },
+  },
+};
+
+/**
+ * Reads a saved note fixture, checks it against FIXTURE_SCHEMA and fills in
+ * the optional fields renderers expect. Throws when the file is not JSON or
+ * not a valid fixture, listing every problem found.
+ */
+export async function readFixture(file) {
+  const fx = JSON.parse(await fs.readFile(file, "utf8"));
+
+  const errors = validate(FIXTURE_SCHEMA, fx, "fixture");
+  if (errors.length) {
+    throw new Error(`invalid fixture: ${errors.join("; ")}`);
+  }
+
+  fx.language = fx.language || "unknown";
+  fx.edgeCases = Array.isArray(fx.edgeCases) ? fx.edgeCases : [];
+  fx.examples = Array.isArray(fx.examples) ? fx.examples : [];
+  return fx;
+}
+
+/**
+ * Loads fixtures from JSON files and directories of them (not recursive).
+ * Unreadable files are reported in `skipped` instead of failing the load.
+ */
+export async function readFixtures(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const stat = await fs.stat(input);
+    if (stat.isDirectory()) {
+      const names = (await fs.readdir(input))
+        .filter((name) => name.toLowerCase().endsWith(".json"))
+        .sort();
+      files.push(...names.map((name) => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+
+  const fixtures = [];
+  const skipped = [];
+  for (const file of files) {
+    try {
+      fixtures.push({ file, fx: await readFixture(file) });
+    } catch (err) {
+      skipped.push({ file, reason: err.message });
+    }
+  }
+
+  return { fixtures, skipped };
+}
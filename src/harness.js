@@ -0,0 +1,471 @@
+import fs from "fs/promises";
+import path from "path";
+import { generateTestCases } from "./llm.js";
+import { splitSource } from "./lexer.js";
+import { PLACEHOLDER_OUTPUT, runnerFor } from "./verify.js";
+
+/**
+ * Turns a note's examples and edge cases into a runnable test file saved
+ * next to the fixture: a shell script that feeds each case to a stdin/stdout
+ * program, or unit tests that call a function-style solution directly
+ * (Python, JavaScript and C++). Edge cases without a concrete case are left
+ * in the file as TODOs.
+ */
+
+const STDIN_PROGRAM = [
+  /\bint\s+main\s*\(/,
+  /\bstatic\s+void\s+main\s*\(/,
+  /\bfunc\s+main\s*\(/,
+  /\bfn\s+main\s*\(/,
+  /\binput\s*\(|\bsys\.stdin\b|__name__\s*==\s*["']__main__["']/,
+  /\bprocess\.stdin\b|\breadline\b|readFileSync\(\s*(0|["']\/dev\/stdin)/,
+];
+
+/**
+ * "stdin" for programs with an entry point that read input themselves,
+ * "function" for function-style (LeetCode-like) solutions.
+ */
+export function testStyle(code, language) {
+  const { code: masked } = splitSource(code, language);
+  return STDIN_PROGRAM.some((pattern) => pattern.test(masked))
+    ? "stdin"
+    : "function";
+}
+
+function slug(name, idx) {
+  const words = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40);
+  return `${String(idx + 1).padStart(2, "0")}_${words || "case"}`;
+}
+
+// POSIX single-quoted string
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+const TODO_NOTE = "add input and expected output";
+
+// Reported by a test file without cases, which must not pass
+function noCases(todos) {
+  return todos.length
+    ? "no runnable cases: fill in the TODOs"
+    : "no runnable cases: add examples with expected output";
+}
+
+function todoLines(todos, prefix) {
+  return todos.map((edgeCase) => `${prefix} TODO: ${edgeCase} (${TODO_NOTE})`);
+}
+
+function stdinScript({
+  title,
+  source,
+  testName,
+  runner,
+  cases,
+  todos,
+  timeoutMs,
+}) {
+  const build = runner.compile
+    ? `(cd "$WORK" && ${runner.compile.map(shellQuote).join(" ")}) || {
+  echo "build failed"
+  exit 1
+}`
+    : "";
+
+  return `#!/bin/sh
+# Edge-case tests for ${JSON.stringify(title)}, generated by code2notion.
+# Feeds each case to the solution on stdin and compares stdout, ignoring
+# differences in spacing. Stderr is only shown for failing cases.
+# Run: sh ${shellQuote(testName)}
+
+cd "$(dirname "$0")" || exit 1
+SOURCE=${shellQuote(source)}
+WORK=$(mktemp -d) || exit 1
+trap 'rm -rf "$WORK"' EXIT
+cp "$SOURCE" "$WORK/${runner.file}" || exit 1
+${build}
+
+TIMEOUT=$(command -v timeout)
+pass=0
+fail=0
+
+squeeze() {
+  printf '%s' "$1" | tr -s ' \\t\\n' '   ' | sed 's/^ *//; s/ *$//'
+}
+
+check() {
+  actual=$(cd "$WORK" && printf '%s\\n' "$2" | \${TIMEOUT:+$TIMEOUT ${
+    timeoutMs / 1000
+  }} ${runner.run.map(shellQuote).join(" ")} 2>"$WORK/stderr")
+  if [ "$(squeeze "$actual")" = "$(squeeze "$3")" ]; then
+    pass=$((pass + 1))
+    echo "ok   - $1"
+  else
+    fail=$((fail + 1))
+    echo "FAIL - $1"
+    echo "  expected: $3"
+    echo "  actual:   $actual"
+    sed 's/^/  stderr:   /' "$WORK/stderr"
+  fi
+}
+
+${[
+  ...cases.map(
+    (c) =>
+      `check ${shellQuote(c.name)} ${shellQuote(c.input)} ${shellQuote(
+        c.expected
+      )}`
+  ),
+  ...todoLines(todos, "#"),
+].join("\n")}
+
+echo "$pass passed, $fail failed, ${todos.length} todo"
+if [ $((pass + fail)) -eq 0 ]; then
+  echo ${shellQuote(noCases(todos))}
+  exit 1
+fi
+[ "$fail" -eq 0 ]
+`;
+}
+
+function pythonTests({ title, source, testName, entry, cases, todos }) {
+  const tests = cases.map(
+    (c, idx) => `    def test_${slug(c.name, idx)}(self):
+        """${c.name.replace(/\\/g, "\\\\").replace(/"""/g, "'''")}"""
+        self.assertEqual(
+            solve(*json.loads(${JSON.stringify(c.input)})),
+            json.loads(${JSON.stringify(c.expected)}),
+        )
+`
+  );
+  if (!cases.length) {
+    tests.push(`    def test_has_cases(self):
+        self.fail(${JSON.stringify(noCases(todos))})
+`);
+  }
+  // Skipped tests, so unittest's summary counts the TODOs
+  const pending = todos.map(
+    (edgeCase, idx) => `    @unittest.skip("TODO: ${TODO_NOTE}")
+    def test_todo_${slug(edgeCase, idx)}(self):
+        """${edgeCase.replace(/\\/g, "\\\\").replace(/"""/g, "'''")}"""
+`
+  );
+
+  return `"""Edge-case tests for ${JSON.stringify(
+    title
+  )}, generated by code2notion.
+
+Run: python3 ${JSON.stringify(testName)}
+"""
+import json
+import os
+import unittest
+
+SOURCE = os.path.join(os.path.dirname(os.path.abspath(__file__)), ${JSON.stringify(
+    source
+  )})
+ENTRY = ${JSON.stringify(entry)}
+
+namespace = {"__name__": "solution"}
+with open(SOURCE, encoding="utf-8") as f:
+    exec(compile(f.read(), SOURCE, "exec"), namespace)
+
+
+def solve(*args):
+    if "Solution" in namespace:
+        return getattr(namespace["Solution"](), ENTRY)(*args)
+    return namespace[ENTRY](*args)
+
+
+class EdgeCaseTests(unittest.TestCase):
+${[...tests, ...pending].join("\n")}
+
+
+if __name__ == "__main__":
+    unittest.main()
+`;
+}
+
+function javascriptTests({
+  title,
+  source,
+  testName,
+  entry,
+  cases,
+  todos,
+  code,
+}) {
+  // Modules are imported; plain scripts (LeetCode style) are evaluated
+  const isModule = /^\s*export\b/m.test(code);
+  const imports = [
+    `import assert from "node:assert/strict";`,
+    !isModule && `import fs from "node:fs";`,
+    `import test from "node:test";`,
+    !isModule && `import { fileURLToPath } from "node:url";`,
+  ].filter(Boolean);
+  const load = isModule
+    ? `const mod = await import(new URL(${JSON.stringify(
+        source
+      )}, import.meta.url));
+const solve =
+  typeof mod.Solution === "function"
+    ? (...args) => new mod.Solution()[ENTRY](...args)
+    : mod[ENTRY];`
+    : `const code = fs.readFileSync(
+  fileURLToPath(new URL(${JSON.stringify(source)}, import.meta.url)),
+  "utf8"
+);
+const solve = new Function(
+  \`\${code}
+return typeof Solution === "function"
+  ? (...args) => new Solution()[\${JSON.stringify(ENTRY)}](...args)
+  : \${ENTRY};\`
+)();`;
+
+  return `// Edge-case tests for ${JSON.stringify(
+    title
+  )}, generated by code2notion.
+// Run: node --test ${JSON.stringify(testName)}
+${imports.join("\n")}
+
+const ENTRY = ${JSON.stringify(entry)};
+${load}
+
+${[
+  ...cases.map(
+    (c) => `test(${JSON.stringify(c.name)}, () => {
+  assert.deepEqual(solve(...${c.input}), ${c.expected});
+});`
+  ),
+  ...todos.map((edgeCase) => `test.todo(${JSON.stringify(edgeCase)});`),
+  !cases.length &&
+    `test("has runnable cases", () => {
+  assert.fail(${JSON.stringify(noCases(todos))});
+});`,
+]
+  .filter(Boolean)
+  .join("\n\n")}
+`;
+}
+
+// JSON value -> C++ initializer: arrays become braced lists
+function cppLiteral(value) {
+  if (Array.isArray(value)) return `{${value.map(cppLiteral).join(", ")}}`;
+  if (value === null) return "nullptr";
+  if (typeof value === "string") return JSON.stringify(value);
+  return String(value);
+}
+
+// C++ type for a JSON argument, so it can be passed as an lvalue reference
+function cppType(value) {
+  if (Array.isArray(value)) {
+    return `vector<${value.length ? cppType(value[0]) : "int"}>`;
+  }
+  if (typeof value === "string") return "string";
+  if (typeof value === "boolean") return "bool";
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) return "double";
+    return Math.abs(value) > 2147483647 ? "long long" : "int";
+  }
+  return "auto";
+}
+
+function cppTests({ title, source, testName, entry, cases, todos, code }) {
+  const call = /\bclass\s+Solution\b/.test(code)
+    ? `Solution().${entry}`
+    : entry;
+
+  // Judge signatures take `vector<int>&`, so arguments are named locals
+  const checks = cases.map((c) => {
+    const args = JSON.parse(c.input);
+    const locals = args.map(
+      (arg, idx) => `    ${cppType(arg)} arg${idx} = ${cppLiteral(arg)};`
+    );
+    const names = args.map((_, idx) => `arg${idx}`).join(", ");
+    const expected = cppLiteral(JSON.parse(c.expected));
+    return `  {
+${locals.join("\n")}
+    auto result = ${call}(${names});
+    check(${JSON.stringify(c.name)}, result == decltype(result)${
+      expected.startsWith("{") ? expected : `(${expected})`
+    });
+  }`;
+  });
+
+  return `// Edge-case tests for ${JSON.stringify(
+    title
+  )}, generated by code2notion.
+// Run: g++ -std=c++17 -o tests ${JSON.stringify(testName)} && ./tests
+// Judge-style solutions expect the standard headers and namespace
+#include <iostream>
+#include <string>
+#include <vector>
+using namespace std;
+
+#include ${JSON.stringify(source)}
+
+int main() {
+  int passed = 0, failed = 0;
+  auto check = [&](const char* name, bool ok) {
+    std::cout << (ok ? "ok   - " : "FAIL - ") << name << std::endl;
+    (ok ? passed : failed)++;
+  };
+
+${[...checks, ...todoLines(todos, "  //")].join("\n")}
+
+  std::cout << passed << " passed, " << failed << " failed, ${
+    todos.length
+  } todo" << std::endl;
+  if (passed + failed == 0) {
+    std::cout << ${JSON.stringify(noCases(todos))} << std::endl;
+    return 1;
+  }
+  return failed ? 1 : 0;
+}
+`;
+}
+
+const UNIT_TESTS = {
+  py: { ext: "py", render: pythonTests },
+  js: { ext: "mjs", render: javascriptTests },
+  mjs: { ext: "mjs", render: javascriptTests },
+  cjs: { ext: "mjs", render: javascriptTests },
+  cpp: { ext: "cpp", render: cppTests },
+  cc: { ext: "cpp", render: cppTests },
+  cxx: { ext: "cpp", render: cppTests },
+};
+
+// Function-style cases must be JSON: an argument array and a value
+function validJsonCase(c) {
+  try {
+    return Array.isArray(JSON.parse(c.input)) && (JSON.parse(c.expected), true);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Collects concrete cases: examples with a known output (stdin style only,
+ * since their inputs are program input), then LLM-built cases when
+ * `useLLM` is set. Returns `{ entry, cases, todos }`.
+ */
+async function collectCases(fixture, code, style, useLLM) {
+  const cases = [];
+  let entry = null;
+
+  if (style === "stdin") {
+    fixture.examples.forEach((ex, idx) => {
+      if (!ex.input || PLACEHOLDER_OUTPUT.test((ex.output || "").trim())) {
+        return;
+      }
+      cases.push({
+        name: `Example ${idx + 1}`,
+        input: ex.input,
+        expected: ex.output,
+      });
+    });
+  }
+
+  if (useLLM) {
+    try {
+      const generated = await generateTestCases(code, fixture, style);
+      entry = generated.entry || null;
+      const usable =
+        style === "function"
+          ? (generated.cases || []).filter(validJsonCase)
+          : generated.cases || [];
+      cases.push(...usable);
+    } catch (err) {
+      console.warn("  Test case generation failed:", err.message || err);
+    }
+  }
+
+  const named = new Set(cases.map((c) => c.name.trim().toLowerCase()));
+  const todos = fixture.edgeCases.filter(
+    (edgeCase) => !named.has(edgeCase.trim().toLowerCase())
+  );
+
+  return { entry, cases, todos };
+}
+
+/**
+ * Writes the test file for `fixture` next to `outPath` (the fixture's JSON
+ * path) as `<name>.test.<ext>` and returns its path, or null when the
+ * solution's style and language have no harness.
+ */
+export async function writeTestHarness(
+  fixture,
+  code,
+  filePath,
+  outPath,
+  { useLLM = false, timeoutMs = 5000 } = {}
+) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  const style = testStyle(code, ext);
+
+  let template;
+  let testExt;
+  if (style === "stdin") {
+    template = stdinScript;
+    testExt = "sh";
+  } else if (UNIT_TESTS[ext] && useLLM) {
+    template = UNIT_TESTS[ext].render;
+    testExt = UNIT_TESTS[ext].ext;
+  } else {
+    console.warn(
+      UNIT_TESTS[ext]
+        ? "  Function-style tests need generated cases (--mode=llm or hybrid)"
+        : `  No unit-test template for function-style .${ext} code`
+    );
+    return null;
+  }
+
+  const runner = style === "stdin" ? runnerFor(filePath, code) : null;
+  if (style === "stdin" && !runner) {
+    console.warn(`  No way to run .${ext} programs for a test script`);
+    return null;
+  }
+
+  const { entry, cases, todos } = await collectCases(
+    fixture,
+    code,
+    style,
+    useLLM
+  );
+  if (style === "function" && !entry) {
+    console.warn("  Could not tell which function to test");
+    return null;
+  }
+
+  if (!cases.length) {
+    console.warn("  No runnable test cases yet; the tests fail until added");
+  }
+
+  const testPath = outPath.replace(/\.json$/i, `.test.${testExt}`);
+  const testName = path.basename(testPath);
+  const source = path
+    .relative(path.dirname(testPath), path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+
+  const content = template({
+    title: fixture.title,
+    source,
+    testName,
+    runner,
+    entry,
+    cases,
+    todos,
+    code,
+    timeoutMs,
+  });
+  await fs.writeFile(testPath, content, {
+    encoding: "utf8",
+    mode: testExt === "sh" ? 0o755 : 0o644,
+  });
+
+  return testPath;
+}
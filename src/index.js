@@ -5,41 +5,206 @@ import path from "path";
 import "dotenv/config";
 
 import { generateApproach } from "./generate.js";
+import {
+  configureLLM,
+  PROMPT_VERSIONS,
+  resolveStageSettings,
+  STAGE_DEFAULTS,
+  summarizeProjectWithLLM,
+} from "./llm.js";
+import { configureCache, getCacheStats, pruneCache } from "./cache.js";
+import { missingCredentials, resolveProviderName } from "./providers.js";
+import { runWithConcurrency } from "./concurrency.js";
+import { expandInputs, hasGlobChars } from "./files.js";
+import { watchPaths } from "./watch.js";
+import { verifyExamples } from "./verify.js";
+import { writeTestHarness } from "./harness.js";
+import {
+  buildDependencyGraph,
+  dependencyTree,
+  heuristicArchitecture,
+  importedBy,
+  moduleList,
+  projectLanguage,
+  projectPath,
+} from "./project.js";
+import { CONFIG_FILES, loadConfig, outputName } from "./config.js";
+import { loadRules } from "./rules.js";
+import { fixtureToMarkdown } from "./export.js";
+import { buildSite, fixtureToHtml } from "./site.js";
+import { readFixture, readFixtures } from "./fixtures.js";
+import { fixtureToCards, cardsToAnkiTsv } from "./anki.js";
 
 function usageAndExit() {
   console.log(`
-Usage: node src/index.js <path-to-solution> [options]
+Usage: node src/index.js <path|directory|glob>... [options]
+       node src/index.js cache prune [--max-age=<days>] [--all]
+       node src/index.js notion init-database [--title=<name>]
+       node src/index.js site [fixtures-dir] [--out=<dir>]
+       node src/index.js anki [fixture|dir]... [--out=<file>] [--deck=<name>]
+       node src/index.js publish <fixture.json>... [--notion-mode=<mode>]
+       node src/index.js render <fixture.json>... --format=<format> [--out=<dir>]
+                         (formats: markdown|html|anki)
+       node src/index.js config print [options]
 
 Options:
   --no-save              Do not save JSON output (preview only)
   --json-out=<path>      Custom output path for JSON file
+  --format=<list>        Output formats: json|markdown, comma-separated
+                         (default: json; markdown writes a .md file with
+                          YAML front matter next to the JSON path; the
+                          JSON is kept anyway when publishing to Notion,
+                          as it records the page to update)
   --mode=<mode>          Generation mode: heuristic|llm|hybrid (default: llm)
   --no-notion            Skip Notion posting even if credentials are set
+  --notion-mode=<mode>   Notion publishing: create|update|upsert
+                         (default: upsert; update and upsert rewrite the
+                          page recorded in the fixture, skipping unchanged
+                          content)
+  --provider=<name>      LLM provider: groq|openai|huggingface (default: groq)
+  --model=<model>        Model name for the selected provider
+  --no-cache             Bypass the LLM response cache (llm_cache/)
+  --refresh-stage=<name> Re-run a stage and overwrite its cache entry
+                         (analysis|approach|complexity|explanation|
+                          edgeCases|examples|tests|unit|overview;
+                          repeatable or comma-separated)
+  --concurrency=<n>      Max LLM stages running at once (default: 3)
+  --max-retries=<n>      Retries for rate-limited (429) or 5xx responses
+                         (default: 4)
+  --jobs=<n>             Files processed in parallel in batch mode (default: 2)
+  --watch                Regenerate a file's notes whenever it is saved
+                         (heuristic pass first, then the selected mode)
+  --debounce=<ms>        Quiet period before regenerating in watch mode
+                         (default: 300)
+  --rules=<file>         Extra heuristic detector rules from a .json file or
+                         JS module (repeatable; same id replaces a built-in)
+  --verify-examples      Compile or interpret the solution (g++, python3,
+                         node, javac, go, rustc, ruby) and run it on each
+                         example input, replacing outputs with real ones
+  --verify-timeout=<ms>  Time limit per example run (default: 5000)
+  --tests                Write a runnable test file next to the fixture: a
+                         stdin script for programs with main(), or unit
+                         tests (Python, JavaScript, C++) for function-style
+                         code; edge cases become cases (llm/hybrid modes)
+                         or TODOs
+  --project              Treat each directory as one project: a note per
+                         file plus a parent note with the architecture
+                         overview and include/import graph (saved as
+                         <json-out>/<dir>.json, file notes under
+                         <json-out>/<dir>/; Notion pages nest under it)
 
 Examples:
   node src/index.js examples/solution.cpp
   node src/index.js examples/solution.cpp --mode=heuristic
   node src/index.js examples/solution.cpp --mode=hybrid --json-out=output/
   node src/index.js examples/solution.cpp --no-save --no-notion
+  node src/index.js examples/solution.cpp --provider=openai --model=llama3.1
+  node src/index.js examples/ --mode=heuristic --jobs=4
+  node src/index.js "solutions/**/*.{cpp,py}" --json-out=output/
+  node src/index.js examples/ --watch --mode=hybrid
+  node src/index.js examples/solution.cpp --notion-mode=create
+  node src/index.js examples/ --format=json,markdown --json-out=notes/
+  node src/index.js lib/ --project --mode=heuristic
 
 Modes:
   heuristic - Fast, pattern-based analysis (no API required)
-  llm       - AI-powered deep analysis (requires GROQ_API_KEY)
+  llm       - AI-powered deep analysis (requires provider credentials)
   hybrid    - Combines both approaches
+
+Providers:
+  groq        - Groq API (requires GROQ_API_KEY)
+  openai      - Any OpenAI-compatible endpoint, including local llama.cpp or
+                Ollama servers (OPENAI_BASE_URL, optional OPENAI_API_KEY)
+  huggingface - Hugging Face Inference (requires HF_TOKEN)
+
+Configuration:
+  ${CONFIG_FILES.join(" or ")} (JSON), looked up from the working
+  directory upwards, sets defaults for this project. Environment variables
+  override it and flags override both; "config print" shows the result.
+  {
+    "mode": "hybrid",
+    "provider": "groq",
+    "model": "llama-3.3-70b-versatile",
+    "stages": {
+      "edgeCases": { "provider": "openai", "model": "qwen2.5-coder",
+                     "temperature": 0.8 },
+      "examples": { "enabled": false },
+      "approach": { "prompt": "prompts/approach.md" },
+      "mistakes": { "prompt": "prompts/mistakes.md",
+                    "heading": "Common Mistakes",
+                    "schema": { "type": "array",
+                                "items": { "type": "string" } } }
+    },
+    "output": { "dir": "notes", "name": "{judge} {title}",
+                "formats": ["json", "markdown"] },
+    "notion": { "enabled": true, "mode": "upsert", "databaseId": "..." }
+  }
+  Also: cache, concurrency, maxRetries, jobs, rules (list of files) and
+  notion.parentPageId. Stages: ${Object.keys(STAGE_DEFAULTS).join("|")};
+  each takes enabled, provider, model, temperature and maxTokens (a
+  disabled stage falls back to the heuristic result) and prompt, a template
+  file replacing the built-in one in src/prompts/. Any other stage name
+  declares a custom stage (llm and hybrid modes): its prompt can use
+  {{code}}, {{language}} and {{analysis.algorithmType|title|problem}}; the
+  result is saved in the note under field (default: the stage name) and
+  rendered under heading. Without a schema the result is text; with one
+  it is JSON checked against it (a string array renders as a list).
+  Output name placeholders: {title}, {file}, {language}, {judge}, {date}.
+
+Notion (requires NOTION_TOKEN):
+  NOTION_DATABASE_ID    - Add each note as a database row with Language,
+                          Algorithm Type, Complexity, Difficulty, Source File
+                          and Generated At properties, plus Judge, Contest,
+                          Problem Index and Problem URL for judge problems
+  NOTION_PARENT_PAGE_ID - Otherwise add each note as a child page; also the
+                          page that "notion init-database" creates under
   `);
 
   process.exit(1);
 }
 
-function parseArgs(argv) {
+/**
+ * Parses CLI flags on top of the defaults from the project config and the
+ * environment. Invalid flags warn and keep the default.
+ */
+function parseArgs(argv, config = {}) {
+  const output = config.output || {};
+  const notion = config.notion || {};
   const opts = {
     noSave: false,
-    jsonOut: null,
-    filePath: null,
-    mode: "llm",
-    noNotion: false,
+    jsonOut: output.dir || null,
+    outputName: output.name || "{title}",
+    formats: output.formats || ["json"],
+    inputs: [],
+    mode: config.mode || "llm",
+    noNotion: notion.enabled === false,
+    notionMode: notion.mode || "upsert",
+    provider: process.env.LLM_PROVIDER || config.provider || "groq",
+    model: process.env.LLM_MODEL || config.model || null,
+    noCache: config.cache === false,
+    refreshStages: [],
+    concurrency: config.concurrency || 3,
+    maxRetries: config.maxRetries ?? 4,
+    jobs: config.jobs || 2,
+    stages: config.stages || {},
+    watch: false,
+    debounceMs: 300,
+    ruleFiles: [...(config.rules || [])],
+    verifyExamples: false,
+    verifyTimeoutMs: 5000,
+    tests: false,
+    project: false,
   };
 
+  // An invalid LLM_PROVIDER warns like an invalid --provider
+  try {
+    opts.provider = resolveProviderName(opts.provider);
+  } catch (err) {
+    const fallback = config.provider || "groq";
+    console.warn(err.message, `- using '${fallback}' instead`);
+    opts.provider = resolveProviderName(fallback);
+  }
+
   for (let i = 2; i < argv.length; i++) {
     const arg = argv[i];
 
@@ -47,6 +212,29 @@ function parseArgs(argv) {
       opts.noSave = true;
     } else if (arg === "--no-notion") {
       opts.noNotion = true;
+    } else if (arg.startsWith("--notion-mode=")) {
+      const notionMode = arg.split("=")[1].toLowerCase();
+      if (["create", "update", "upsert"].includes(notionMode)) {
+        opts.notionMode = notionMode;
+      } else {
+        console.warn(
+          "Unknown Notion mode:",
+          notionMode,
+          `- using '${opts.notionMode}'`
+        );
+      }
+    } else if (arg.startsWith("--format=")) {
+      const formats = arg.split("=")[1].toLowerCase().split(",");
+      const unknown = formats.filter((f) => !["json", "markdown"].includes(f));
+      if (unknown.length || !formats.length) {
+        console.warn(
+          "Unknown format:",
+          unknown.join(","),
+          `- using '${opts.formats.join(",")}'`
+        );
+      } else {
+        opts.formats = formats;
+      }
     } else if (arg.startsWith("--json-out=")) {
       opts.jsonOut = arg.split("=")[1];
     } else if (arg.startsWith("--mode=")) {
@@ -54,12 +242,77 @@ function parseArgs(argv) {
       if (["heuristic", "llm", "hybrid"].includes(mode)) {
         opts.mode = mode;
       } else {
-        console.warn("Unknown mode:", mode, "- using 'llm' instead");
+        console.warn("Unknown mode:", mode, `- using '${opts.mode}' instead`);
+      }
+    } else if (arg.startsWith("--provider=")) {
+      const provider = arg.split("=")[1];
+      try {
+        opts.provider = resolveProviderName(provider);
+      } catch (err) {
+        console.warn(err.message, `- using '${opts.provider}' instead`);
+      }
+    } else if (arg.startsWith("--model=")) {
+      opts.model = arg.slice("--model=".length);
+    } else if (arg === "--no-cache") {
+      opts.noCache = true;
+    } else if (arg.startsWith("--refresh-stage=")) {
+      const stages = arg.split("=")[1].split(",").filter(Boolean);
+      for (const stage of stages) {
+        if (stage in PROMPT_VERSIONS) {
+          opts.refreshStages.push(stage);
+        } else {
+          console.warn("Unknown stage:", stage);
+        }
+      }
+    } else if (arg.startsWith("--concurrency=")) {
+      const n = Number(arg.split("=")[1]);
+      if (Number.isInteger(n) && n > 0) {
+        opts.concurrency = n;
+      } else {
+        console.warn("Invalid --concurrency, using", opts.concurrency);
+      }
+    } else if (arg.startsWith("--max-retries=")) {
+      const n = Number(arg.split("=")[1]);
+      if (Number.isInteger(n) && n >= 0) {
+        opts.maxRetries = n;
+      } else {
+        console.warn("Invalid --max-retries, using", opts.maxRetries);
+      }
+    } else if (arg.startsWith("--jobs=")) {
+      const n = Number(arg.split("=")[1]);
+      if (Number.isInteger(n) && n > 0) {
+        opts.jobs = n;
+      } else {
+        console.warn("Invalid --jobs, using", opts.jobs);
+      }
+    } else if (arg === "--watch") {
+      opts.watch = true;
+    } else if (arg.startsWith("--debounce=")) {
+      const ms = Number(arg.split("=")[1]);
+      if (Number.isInteger(ms) && ms >= 0) {
+        opts.debounceMs = ms;
+      } else {
+        console.warn("Invalid --debounce, using", opts.debounceMs);
+      }
+    } else if (arg.startsWith("--rules=")) {
+      opts.ruleFiles.push(arg.slice("--rules=".length));
+    } else if (arg === "--tests") {
+      opts.tests = true;
+    } else if (arg === "--project") {
+      opts.project = true;
+    } else if (arg === "--verify-examples") {
+      opts.verifyExamples = true;
+    } else if (arg.startsWith("--verify-timeout=")) {
+      const ms = Number(arg.split("=")[1]);
+      if (Number.isInteger(ms) && ms > 0) {
+        opts.verifyTimeoutMs = ms;
+      } else {
+        console.warn("Invalid --verify-timeout, using", opts.verifyTimeoutMs);
       }
     } else if (arg.startsWith("--")) {
       console.warn("Unknown flag:", arg);
-    } else if (!opts.filePath) {
-      opts.filePath = arg;
+    } else {
+      opts.inputs.push(arg);
     }
   }
 
@@ -89,63 +342,477 @@ function previewLine(result) {
   return problem.length > 120 ? `${problem.slice(0, 120)}...` : problem;
 }
 
-async function main() {
-  const opts = parseArgs(process.argv);
-  if (!opts.filePath) {
+async function runCacheCommand(argv) {
+  const action = argv[3];
+  if (action !== "prune") {
     usageAndExit();
   }
 
-  // Validate API requirements for LLM-based modes
-  if (
-    (opts.mode === "llm" || opts.mode === "hybrid") &&
-    !process.env.GROQ_API_KEY
-  ) {
-    console.error(`
-Error: GROQ_API_KEY not found in environment
+  let maxAgeDays = 30;
+  let all = false;
 
-Mode '${opts.mode}' requires a Groq API key.
-Options:
-1. Obtain a key from https://console.groq.com
-2. Add GROQ_API_KEY=your_key to the .env file
-3. Or run with --mode=heuristic
-    `);
+  for (const arg of argv.slice(4)) {
+    if (arg === "--all") {
+      all = true;
+    } else if (arg.startsWith("--max-age=")) {
+      const days = Number(arg.split("=")[1]);
+      if (Number.isFinite(days) && days >= 0) {
+        maxAgeDays = days;
+      } else {
+        console.warn("Invalid --max-age, using 30 days");
+      }
+    } else {
+      console.warn("Unknown flag:", arg);
+    }
+  }
+
+  const { removed, kept } = await pruneCache({
+    maxAgeDays,
+    all,
+    promptVersions: PROMPT_VERSIONS,
+  });
+  console.log(`Cache pruned: ${removed} removed, ${kept} kept`);
+}
+
+async function runNotionCommand(argv) {
+  const action = argv[3];
+  if (action !== "init-database") {
+    usageAndExit();
+  }
+
+  let title = "Code Notes";
+  for (const arg of argv.slice(4)) {
+    if (arg.startsWith("--title=")) {
+      title = arg.slice("--title=".length) || title;
+    } else {
+      console.warn("Unknown flag:", arg);
+    }
+  }
+
+  if (process.env.NOTION_DATABASE_ID) {
+    console.log(
+      "NOTION_DATABASE_ID is already set:",
+      process.env.NOTION_DATABASE_ID
+    );
+    return;
+  }
+
+  const { createNotesDatabase } = await import("./notion.js");
+  try {
+    const database = await createNotesDatabase(title);
+    console.log(`Created database '${title}'`);
+    console.log("Add this to your .env file:");
+    console.log(`NOTION_DATABASE_ID=${database.id}`);
+  } catch (err) {
+    console.error("Database creation failed:", err.message || err);
+    process.exitCode = 1;
+  }
+}
+
+async function runSiteCommand(argv) {
+  let fixturesDir = "fixtures";
+  let outDir = "site";
+
+  for (const arg of argv.slice(3)) {
+    if (arg.startsWith("--out=")) {
+      outDir = arg.slice("--out=".length) || outDir;
+    } else if (arg.startsWith("--")) {
+      console.warn("Unknown flag:", arg);
+    } else {
+      fixturesDir = arg;
+    }
+  }
+
+  try {
+    const { notes, skipped } = await buildSite(fixturesDir, outDir);
+    for (const { file, reason } of skipped) {
+      console.warn(`Skipped ${file}: ${reason}`);
+    }
+    console.log(`Built ${notes} note page(s) in ${outDir}/`);
+    console.log(`Open ${path.join(outDir, "index.html")} in a browser`);
+  } catch (err) {
+    console.error("Site build failed:", err.message || err);
+    process.exitCode = 1;
+  }
+}
+
+async function runAnkiCommand(argv) {
+  const inputs = [];
+  let outPath = "code-notes.tsv";
+  let deck = "Code Notes";
+
+  for (const arg of argv.slice(3)) {
+    if (arg.startsWith("--out=")) {
+      outPath = arg.slice("--out=".length) || outPath;
+    } else if (arg.startsWith("--deck=")) {
+      deck = arg.slice("--deck=".length) || deck;
+    } else if (arg.startsWith("--")) {
+      console.warn("Unknown flag:", arg);
+    } else {
+      inputs.push(arg);
+    }
+  }
+
+  try {
+    const { fixtures, skipped } = await readFixtures(
+      inputs.length ? inputs : ["fixtures"]
+    );
+    for (const { file, reason } of skipped) {
+      console.warn(`Skipped ${file}: ${reason}`);
+    }
+
+    const cards = fixtures.flatMap(({ file, fx }) => fixtureToCards(fx, file));
+    await ensureDir(path.dirname(path.resolve(outPath)));
+    await fs.writeFile(outPath, cardsToAnkiTsv(cards, { deck }), "utf8");
+    console.log(
+      `Wrote ${cards.length} card(s) from ${fixtures.length} note(s) to ${outPath}`
+    );
+    console.log("Import it in Anki with File > Import");
+  } catch (err) {
+    console.error("Anki export failed:", err.message || err);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Sends saved fixtures to Notion without regenerating them, then writes the
+ * page ID and content hash back so later runs update the same page.
+ */
+async function runPublishCommand(argv, config) {
+  const files = [];
+  let notionMode = (config.notion && config.notion.mode) || "upsert";
+
+  for (const arg of argv.slice(3)) {
+    if (arg.startsWith("--notion-mode=")) {
+      const mode = arg.split("=")[1].toLowerCase();
+      if (["create", "update", "upsert"].includes(mode)) {
+        notionMode = mode;
+      } else {
+        console.warn("Unknown Notion mode:", mode, `- using '${notionMode}'`);
+      }
+    } else if (arg.startsWith("--")) {
+      console.warn("Unknown flag:", arg);
+    } else {
+      files.push(arg);
+    }
+  }
+
+  if (files.length === 0) {
+    usageAndExit();
+  }
+  if (!notionConfigured()) {
+    console.error(
+      "Set NOTION_TOKEN and NOTION_DATABASE_ID or NOTION_PARENT_PAGE_ID to publish."
+    );
     process.exit(1);
   }
 
-  console.log(`\nMode: ${opts.mode.toUpperCase()}`);
+  for (const file of files) {
+    try {
+      const fixture = await readFixture(file);
+      console.log(`\n--- ${file} ---`);
+      await publishToNotion(fixture, notionMode);
 
-  if (opts.mode === "llm") {
-    console.log("Using AI-powered analysis");
-  } else if (opts.mode === "hybrid") {
-    console.log("Using hybrid analysis (heuristic + AI)");
+      // Only the page bookkeeping is written back, not readFixture's defaults
+      const saved = JSON.parse(await fs.readFile(file, "utf8"));
+      saved.metadata = {
+        ...saved.metadata,
+        notionPageId: fixture.metadata.notionPageId,
+        notionContentHash: fixture.metadata.notionContentHash,
+      };
+      await fs.writeFile(file, JSON.stringify(saved, null, 2), "utf8");
+    } catch (err) {
+      console.error(`Publish failed for ${file}:`, err.message || err);
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * Prints the effective configuration: the project config merged with the
+ * environment and any flags given after "config print".
+ */
+async function runConfigCommand(argv, config, configFile) {
+  if (argv[3] !== "print") {
+    usageAndExit();
+  }
+
+  const opts = parseArgs([...argv.slice(0, 2), ...argv.slice(4)], config);
+  let stages;
+  try {
+    stages = resolveStageSettings(opts);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const effective = {
+    configFile,
+    mode: opts.mode,
+    provider: resolveProviderName(opts.provider),
+    model: stages.analysis.model,
+    cache: !opts.noCache,
+    concurrency: opts.concurrency,
+    maxRetries: opts.maxRetries,
+    jobs: opts.jobs,
+    rules: opts.ruleFiles,
+    stages,
+    output: {
+      save: !opts.noSave,
+      dir: opts.jsonOut || "fixtures",
+      name: opts.outputName,
+      formats: opts.formats,
+    },
+    notion: {
+      enabled: !opts.noNotion,
+      mode: opts.notionMode,
+      databaseId: process.env.NOTION_DATABASE_ID || null,
+      parentPageId: process.env.NOTION_PARENT_PAGE_ID || null,
+      token: process.env.NOTION_TOKEN ? "set" : "not set",
+    },
+  };
+  console.log(JSON.stringify(effective, null, 2));
+}
+
+const RENDERERS = {
+  markdown: { ext: ".md", render: (fx) => fixtureToMarkdown(fx) },
+  html: { ext: ".html", render: (fx) => fixtureToHtml(fx) },
+  anki: {
+    ext: ".tsv",
+    render: (fx, file) => cardsToAnkiTsv(fixtureToCards(fx, file)),
+  },
+};
+
+/**
+ * Renders saved fixtures with any exporter, next to each fixture or into
+ * `--out`.
+ */
+async function runRenderCommand(argv) {
+  const files = [];
+  let format = null;
+  let outDir = null;
+
+  for (const arg of argv.slice(3)) {
+    if (arg.startsWith("--format=")) {
+      format = arg.split("=")[1].toLowerCase();
+    } else if (arg.startsWith("--out=")) {
+      outDir = arg.slice("--out=".length) || null;
+    } else if (arg.startsWith("--")) {
+      console.warn("Unknown flag:", arg);
+    } else {
+      files.push(arg);
+    }
+  }
+
+  if (files.length === 0 || !format) {
+    usageAndExit();
+  }
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    console.error(
+      `Unknown format: ${format} (expected ${Object.keys(RENDERERS).join("|")})`
+    );
+    process.exit(1);
+  }
+
+  for (const file of files) {
+    try {
+      const fixture = await readFixture(file);
+      const base = path.basename(file).replace(/\.json$/i, "");
+      const outPath = path.join(
+        outDir || path.dirname(file),
+        `${base}${renderer.ext}`
+      );
+
+      await ensureDir(path.dirname(outPath));
+      await fs.writeFile(outPath, renderer.render(fixture, file), "utf8");
+      console.log(`Rendered ${file} -> ${outPath}`);
+    } catch (err) {
+      console.error(`Render failed for ${file}:`, err.message || err);
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * Picks the fixture path for a note. A source file keeps the path it was
+ * first given in this session (so watch mode rewrites the same fixture),
+ * and two sources with the same title never overwrite each other.
+ */
+async function resolveOutPath(result, filePath, opts, outputs) {
+  if (outputs.has(filePath)) return outputs.get(filePath);
+
+  let outPath;
+  if (opts.jsonOut && opts.jsonOut.toLowerCase().endsWith(".json")) {
+    outPath = path.resolve(opts.jsonOut);
   } else {
-    console.log("Using heuristic pattern-based analysis");
+    const name = outputName(opts.outputName, result, filePath);
+    outPath = path.join(opts.jsonOut || "fixtures", `${name}.json`);
+  }
+
+  const taken = new Set(outputs.values());
+  const base = outPath.slice(0, -".json".length);
+  for (let n = 2; taken.has(outPath); n++) {
+    outPath = `${base}-${n}.json`;
+  }
+  outputs.set(filePath, outPath);
+
+  await ensureDir(path.dirname(outPath));
+  return outPath;
+}
+
+/**
+ * Returns the Notion page recorded for a source file, from this session or
+ * from the fixture a previous run saved at `outPath`.
+ */
+async function previousNotionPage(filePath, outPath, session) {
+  if (session.notionPages.has(filePath)) {
+    return session.notionPages.get(filePath);
+  }
+  if (!outPath) return null;
+
+  try {
+    const { metadata } = JSON.parse(await fs.readFile(outPath, "utf8"));
+    if (metadata && metadata.notionPageId) {
+      return {
+        pageId: metadata.notionPageId,
+        contentHash: metadata.notionContentHash,
+      };
+    }
+  } catch {
+    // No earlier fixture, or one we cannot parse: nothing to update
+  }
+  return null;
+}
+
+// The config names the Notion target only when the environment does not
+function useConfiguredNotionTarget(notion = {}) {
+  const { NOTION_DATABASE_ID, NOTION_PARENT_PAGE_ID } = process.env;
+  if (NOTION_DATABASE_ID || NOTION_PARENT_PAGE_ID) return;
+
+  if (notion.databaseId) process.env.NOTION_DATABASE_ID = notion.databaseId;
+  if (notion.parentPageId) {
+    process.env.NOTION_PARENT_PAGE_ID = notion.parentPageId;
+  }
+}
+
+function notionConfigured() {
+  const { NOTION_TOKEN, NOTION_PARENT_PAGE_ID, NOTION_DATABASE_ID } =
+    process.env;
+  return Boolean(NOTION_TOKEN && (NOTION_DATABASE_ID || NOTION_PARENT_PAGE_ID));
+}
+
+/**
+ * Publishes a fixture to the page recorded in its metadata (per
+ * `notionMode`) and records the resulting page ID and content hash there.
+ * New pages go under `parentPageId` when given.
+ */
+async function publishToNotion(fixture, notionMode, parentPageId) {
+  const { publishFixture, pageUrl } = await import("./notion.js");
+  const meta = fixture.metadata || (fixture.metadata = {});
+
+  console.log(`Publishing to Notion (${notionMode})...`);
+  const published = await publishFixture(fixture, {
+    mode: notionMode,
+    pageId: meta.notionPageId,
+    contentHash: meta.notionContentHash,
+    parentPageId,
+  });
+
+  meta.notionPageId = published.pageId;
+  meta.notionContentHash = published.contentHash;
+
+  const url = pageUrl(published.pageId);
+  if (published.action === "skipped") {
+    console.log("Notion page unchanged, skipped");
+  } else {
+    console.log(`Notion page ${published.action}`);
   }
+  console.log("Page ID:", published.pageId);
+  console.log("URL:", url);
+
+  return { ...published, url };
+}
+
+function createSession() {
+  return {
+    outputs: new Map(), // source file -> fixture path
+    notionPages: new Map(), // source file -> { pageId, contentHash }
+  };
+}
+
+/**
+ * Formats to save a note in. The JSON fixture is kept while publishing to
+ * Notion even when only markdown was asked for: it records the page that
+ * the next run updates instead of creating a duplicate.
+ */
+function savedFormats(opts) {
+  if (opts.noNotion || !notionConfigured() || opts.formats.includes("json")) {
+    return opts.formats;
+  }
+  return ["json", ...opts.formats];
+}
+
+/**
+ * Writes a note in each requested format next to `outPath` and returns the
+ * paths written.
+ */
+async function writeOutputs(result, outPath, formats) {
+  const written = [];
+  if (formats.includes("json")) {
+    await fs.writeFile(outPath, JSON.stringify(result, null, 2), "utf8");
+    written.push(outPath);
+  }
+  if (formats.includes("markdown")) {
+    const mdPath = outPath.replace(/\.json$/i, ".md");
+    await fs.writeFile(mdPath, fixtureToMarkdown(result), "utf8");
+    written.push(mdPath);
+  }
+  return written;
+}
+
+/**
+ * Generates, saves, previews and publishes notes for one source file.
+ * Never exits the process; failures are reported in the returned row.
+ * In project mode, `project` is `{ root, graph, users }` and the note
+ * records the file's imports; the row then also carries the note and its
+ * fixture path.
+ */
+async function processFile(filePath, opts, session, project = null) {
+  const row = {
+    file: filePath,
+    mode: opts.mode,
+    status: "failed",
+    outputPath: "",
+    notionUrl: "",
+  };
 
   let code;
   try {
-    console.log(`Reading file: ${opts.filePath}`);
-    code = await fs.readFile(opts.filePath, "utf8");
+    console.log(`Reading file: ${filePath}`);
+    code = await fs.readFile(filePath, "utf8");
   } catch (err) {
     console.error("Failed to read file:", err.message);
-    process.exit(1);
+    row.error = err.message;
+    return row;
   }
 
   let result;
   try {
     console.log("Generating notes...");
-    result = await generateApproach(code, opts.filePath, opts.mode);
+    result = await generateApproach(code, filePath, opts.mode);
     console.log("Notes generated successfully");
   } catch (err) {
     console.error("Generation failed:", err.message || err);
-    process.exit(1);
+    row.error = err.message || String(err);
+    return row;
   }
 
   // Normalize result defensively
   result = result || {};
-  result.title = result.title || safeBasenameNoExt(opts.filePath);
+  result.title = result.title || safeBasenameNoExt(filePath);
   result.language =
-    result.language || path.extname(opts.filePath).slice(1) || "unknown";
+    result.language || path.extname(filePath).slice(1) || "unknown";
   result.problem = result.problem || "not inferred";
   result.approach = result.approach || "";
   result.pseudocode = result.pseudocode || "";
@@ -161,37 +828,63 @@ Options:
     (code.length > 20000 ? `${code.slice(0, 20000)}\n/* TRUNCATED */` : code);
 
   result.metadata = {
+    ...result.metadata,
     generatedAt: new Date().toISOString(),
     mode: opts.mode,
-    sourceFile: opts.filePath,
+    sourceFile: filePath,
   };
 
-  let outPath;
-  if (opts.jsonOut) {
-    if (opts.jsonOut.toLowerCase().endsWith(".json")) {
-      outPath = path.resolve(opts.jsonOut);
-      await ensureDir(path.dirname(outPath));
-    } else {
-      await ensureDir(opts.jsonOut);
-      outPath = path.join(opts.jsonOut, `${result.title}.json`);
+  if (project) {
+    const file = projectPath(project.root, filePath);
+    result.metadata.project = {
+      root: path.basename(path.resolve(project.root)),
+      file,
+      imports: project.graph[file] || [],
+      importedBy: project.users[file] || [],
+    };
+  }
+
+  if (opts.verifyExamples) {
+    try {
+      console.log("Verifying examples...");
+      const counts = await verifyExamples(result, code, filePath, {
+        timeoutMs: opts.verifyTimeoutMs,
+      });
+      result.metadata.exampleVerification = counts;
+      console.log(
+        `Examples: ${counts.verified} verified, ${counts.filled} filled in unchecked, ${counts.mismatched} mismatched, ${counts.failed} failed`
+      );
+    } catch (err) {
+      console.warn("Example verification failed:", err.message || err);
     }
-  } else {
-    await ensureDir("fixtures");
-    outPath = path.join("fixtures", `${result.title}.json`);
   }
 
-  if (!opts.noSave) {
+  const outPath = opts.noSave
+    ? null
+    : await resolveOutPath(result, filePath, opts, session.outputs);
+
+  // Carry the page over so runs without Notion keep it in the fixture
+  const previous = await previousNotionPage(filePath, outPath, session);
+  if (previous) {
+    result.metadata.notionPageId = previous.pageId;
+    result.metadata.notionContentHash = previous.contentHash;
+  }
+
+  if (opts.tests && !outPath) {
+    console.warn("--tests writes next to the fixture; skipped with --no-save");
+  } else if (opts.tests) {
     try {
-      await fs.writeFile(outPath, JSON.stringify(result, null, 2), "utf8");
-      console.log(`Saved to: ${outPath}`);
+      const testPath = await writeTestHarness(result, code, filePath, outPath, {
+        useLLM: opts.mode !== "heuristic",
+        timeoutMs: opts.verifyTimeoutMs,
+      });
+      if (testPath) {
+        result.metadata.testFile = testPath;
+        console.log(`Tests written to: ${testPath}`);
+      }
     } catch (err) {
-      console.error("Failed to write output:", err.message || err);
-      console.log("Printing JSON to console instead:\n");
-      console.log(JSON.stringify(result, null, 2));
-      process.exit(1);
+      console.warn("Writing tests failed:", err.message || err);
     }
-  } else {
-    console.log("Preview only (no file saved)");
   }
 
   console.log("\n" + "=".repeat(60));
@@ -212,25 +905,452 @@ Options:
 
   console.log("=".repeat(60) + "\n");
 
-  if (!opts.noNotion) {
+  if (!opts.noNotion && notionConfigured()) {
     try {
-      const { NOTION_TOKEN, NOTION_PARENT_PAGE_ID } = process.env;
-      if (NOTION_TOKEN && NOTION_PARENT_PAGE_ID) {
-        console.log("Posting to Notion...");
-        const { postFixtureToNotion } = await import("./notion.js");
-        const page = await postFixtureToNotion(result);
-
-        console.log("Posted to Notion");
-        console.log("Page ID:", page.id);
-        console.log("URL:", `https://notion.so/${page.id.replace(/-/g, "")}`);
-      }
+      const published = await publishToNotion(result, opts.notionMode);
+      session.notionPages.set(filePath, {
+        pageId: published.pageId,
+        contentHash: published.contentHash,
+      });
+      row.notionUrl = published.url;
     } catch (err) {
+      row.notionUrl = "failed";
       console.warn(
         "Notion post failed:",
         err && err.message ? err.message : err
       );
     }
   }
+
+  if (!opts.noSave) {
+    try {
+      const written = await writeOutputs(result, outPath, savedFormats(opts));
+      console.log(`Saved to: ${written.join(", ")}`);
+      row.outputPath = written.join(", ");
+    } catch (err) {
+      console.error("Failed to write output:", err.message || err);
+      console.log("Printing JSON to console instead:\n");
+      console.log(JSON.stringify(result, null, 2));
+      row.error = err.message || String(err);
+      return row;
+    }
+  } else {
+    console.log("Preview only (no file saved)");
+  }
+
+  row.status = "ok";
+  if (project) {
+    row.fixture = result;
+    row.fixturePath = outPath;
+  }
+  return row;
+}
+
+function settledRows(settled, files, mode) {
+  return settled.map((r, idx) =>
+    r.status === "fulfilled"
+      ? r.value
+      : {
+          file: files[idx],
+          mode,
+          status: "failed",
+          error: r.reason && r.reason.message ? r.reason.message : r.reason,
+        }
+  );
+}
+
+/**
+ * Project mode for one directory: a note per source file, then a parent
+ * note with the architecture overview, module list and dependency graph.
+ * On Notion the file notes become sub-pages of the parent. Returns the
+ * summary rows, parent last.
+ */
+async function processProject(dir, opts, session) {
+  const name = path.basename(path.resolve(dir));
+  const parentRow = {
+    file: dir,
+    mode: opts.mode,
+    status: "failed",
+    outputPath: "",
+    notionUrl: "",
+  };
+
+  const stat = await fs.stat(dir).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    parentRow.error = "--project expects a directory";
+    return [parentRow];
+  }
+
+  const { files } = await expandInputs([dir]);
+  const sources = new Map();
+  for (const file of files) {
+    try {
+      sources.set(file, await fs.readFile(file, "utf8"));
+    } catch (err) {
+      console.warn(`Skipping ${file}:`, err.message);
+    }
+  }
+  if (sources.size === 0) {
+    parentRow.error = "no source files";
+    return [parentRow];
+  }
+
+  console.log(`\nProject ${name}: ${sources.size} file(s)`);
+  const graph = await buildDependencyGraph(dir, sources);
+  const project = { root: dir, graph, users: importedBy(graph) };
+
+  // File notes go in a folder named after the project
+  const outDir = opts.jsonOut || "fixtures";
+  const childOpts = {
+    ...opts,
+    noNotion: true,
+    formats: savedFormats(opts),
+    jsonOut: path.join(outDir, name),
+  };
+  const childFiles = [...sources.keys()];
+  const settled = await runWithConcurrency(
+    childFiles.map((file) => async () => {
+      console.log(`\n--- ${file} ---`);
+      return processFile(file, childOpts, session, project);
+    }),
+    opts.jobs
+  );
+  const rows = settledRows(settled, childFiles, opts.mode);
+  const children = rows.filter((row) => row.fixture);
+  const modules = children.map((row) => ({
+    file: projectPath(dir, row.file),
+    fx: row.fixture,
+  }));
+
+  const tree = dependencyTree(graph);
+  const moduleItems = moduleList(modules, graph);
+  let overview = heuristicArchitecture(name, modules, graph);
+  let provenance = null;
+  if (opts.mode !== "heuristic") {
+    provenance = { overview: "heuristic" };
+    try {
+      const written = await summarizeProjectWithLLM(name, moduleItems, tree);
+      if (written) {
+        overview = written;
+        provenance.overview = "llm";
+      }
+    } catch (err) {
+      console.warn("Architecture overview failed:", err.message || err);
+    }
+  }
+
+  const parent = {
+    title: name,
+    language: projectLanguage(modules),
+    problem: "not inferred",
+    overview,
+    modules: moduleItems,
+    dependencyGraph: tree,
+    edgeCases: [],
+    examples: [],
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      mode: opts.mode,
+      sourceFile: dir,
+      ...(provenance && { provenance }),
+      project: {
+        files: children.map((row) => ({
+          file: projectPath(dir, row.file),
+          fixture: row.fixturePath || null,
+        })),
+        graph,
+      },
+    },
+  };
+
+  const outPath = opts.noSave ? null : path.join(outDir, `${name}.json`);
+  if (outPath) await ensureDir(outDir);
+
+  const previous = await previousNotionPage(dir, outPath, session);
+  if (previous) {
+    parent.metadata.notionPageId = previous.pageId;
+    parent.metadata.notionContentHash = previous.contentHash;
+  }
+
+  if (!opts.noNotion && notionConfigured()) {
+    try {
+      console.log(`\n--- ${name} (project) ---`);
+      const published = await publishToNotion(parent, opts.notionMode);
+      session.notionPages.set(dir, {
+        pageId: published.pageId,
+        contentHash: published.contentHash,
+      });
+      parentRow.notionUrl = published.url;
+
+      for (const row of children) {
+        console.log(`\n--- ${row.file} ---`);
+        try {
+          const child = await publishToNotion(
+            row.fixture,
+            opts.notionMode,
+            published.pageId
+          );
+          row.notionUrl = child.url;
+          if (row.fixturePath) {
+            await writeOutputs(row.fixture, row.fixturePath, ["json"]);
+          }
+        } catch (err) {
+          row.notionUrl = "failed";
+          console.warn("Notion post failed:", err.message || err);
+        }
+      }
+    } catch (err) {
+      parentRow.notionUrl = "failed";
+      console.warn("Notion post failed:", err.message || err);
+    }
+  }
+
+  if (outPath) {
+    try {
+      const written = await writeOutputs(parent, outPath, savedFormats(opts));
+      console.log(`Project note saved to: ${written.join(", ")}`);
+      parentRow.outputPath = written.join(", ");
+    } catch (err) {
+      console.error("Failed to write output:", err.message || err);
+      parentRow.error = err.message || String(err);
+      return [...rows, parentRow];
+    }
+  }
+
+  parentRow.status = "ok";
+  return [...rows, parentRow];
+}
+
+function printSummary(rows) {
+  const columns = [
+    ["File", "file"],
+    ["Mode", "mode"],
+    ["Status", "status"],
+    ["Output", "outputPath"],
+    ["Notion", "notionUrl"],
+  ];
+
+  const widths = columns.map(([label, key]) =>
+    Math.max(label.length, ...rows.map((r) => String(r[key] || "-").length))
+  );
+  const line = (cells) =>
+    cells
+      .map((c, i) => String(c).padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  console.log("\n" + "=".repeat(60));
+  console.log("BATCH SUMMARY");
+  console.log("=".repeat(60));
+  console.log(line(columns.map(([label]) => label)));
+  console.log(line(widths.map((w) => "-".repeat(w))));
+  for (const row of rows) {
+    console.log(line(columns.map(([, key]) => row[key] || "-")));
+  }
+
+  const failed = rows.filter((r) => r.status !== "ok");
+  console.log(
+    `\n${rows.length - failed.length} succeeded, ${failed.length} failed`
+  );
+  for (const row of failed) {
+    console.log(`  ${row.file}: ${row.error}`);
+  }
+}
+
+/**
+ * Regenerates notes for each saved file: a quick heuristic pass first, then
+ * the selected mode, which rewrites the same fixture and Notion page.
+ */
+function startWatch(opts, session, missing) {
+  const globs = opts.inputs.filter(hasGlobChars);
+  if (globs.length) {
+    console.error("Watch mode accepts files or directories, not globs:", globs);
+    process.exit(1);
+  }
+
+  // Missing paths were already reported; watch the rest
+  const inputs = opts.inputs.filter((input) => !missing.includes(input));
+  // Fixtures written into a watched directory must not trigger new runs
+  let outDir = opts.jsonOut || "fixtures";
+  if (outDir.toLowerCase().endsWith(".json")) outDir = path.dirname(outDir);
+
+  watchPaths(
+    inputs,
+    async (file) => {
+      console.log(`\n[${new Date().toLocaleTimeString()}] Changed: ${file}`);
+
+      if (opts.mode !== "heuristic") {
+        await processFile(
+          file,
+          { ...opts, mode: "heuristic", noNotion: true },
+          session
+        );
+      }
+
+      const row = await processFile(file, opts, session);
+      console.log(
+        `[${new Date().toLocaleTimeString()}] ${row.status}: ${file}`
+      );
+    },
+    { debounceMs: opts.debounceMs, ignoreDirs: [outDir] }
+  );
+
+  console.log(`\nWatching ${inputs.join(", ")} (Ctrl+C to stop)`);
+}
+
+const COMMANDS = {
+  cache: runCacheCommand,
+  notion: runNotionCommand,
+  site: runSiteCommand,
+  anki: runAnkiCommand,
+  publish: runPublishCommand,
+  render: runRenderCommand,
+  config: runConfigCommand,
+};
+
+async function main() {
+  let loaded;
+  try {
+    loaded = await loadConfig(Object.keys(STAGE_DEFAULTS));
+  } catch (err) {
+    console.error("Config error:", err.message);
+    process.exit(1);
+  }
+  const { file: configFile, config } = loaded;
+  useConfiguredNotionTarget(config.notion);
+
+  const command = COMMANDS[process.argv[2]];
+  if (command) {
+    await command(process.argv, config, configFile);
+    return;
+  }
+
+  const opts = parseArgs(process.argv, config);
+  if (opts.inputs.length === 0) {
+    usageAndExit();
+  }
+  if (opts.project && opts.watch) {
+    console.error("--project cannot be combined with --watch");
+    process.exit(1);
+  }
+
+  for (const file of opts.ruleFiles) {
+    try {
+      const count = await loadRules(file);
+      console.log(`Loaded ${count} detector rule(s) from ${file}`);
+    } catch (err) {
+      console.error("Failed to load rules:", err.message || err);
+      process.exit(1);
+    }
+  }
+
+  const { files, skipped, missing } = await expandInputs(opts.inputs);
+
+  for (const input of missing) {
+    console.error("No files found for:", input);
+  }
+  if (skipped.length) {
+    console.log(
+      `Skipping ${skipped.length} file(s) with unsupported extensions`
+    );
+  }
+  if (files.length === 0) {
+    process.exit(1);
+  }
+
+  const batch = files.length > 1 || opts.project;
+  if (batch && opts.jsonOut && opts.jsonOut.toLowerCase().endsWith(".json")) {
+    console.warn(
+      "--json-out points to a single file; using its directory for the batch"
+    );
+    opts.jsonOut = path.dirname(opts.jsonOut);
+  }
+
+  // Validate API requirements for LLM-based modes, including providers that
+  // the config assigns to individual stages
+  if (opts.mode === "llm" || opts.mode === "hybrid") {
+    const providers = new Set([resolveProviderName(opts.provider)]);
+    for (const settings of Object.values(resolveStageSettings(opts))) {
+      if (settings.enabled) providers.add(settings.provider);
+    }
+    const provider = [...providers].find((name) => missingCredentials(name));
+    if (provider) {
+      console.error(`
+Error: ${missingCredentials(provider)}
+
+Mode '${opts.mode}' requires credentials for provider '${provider}'.
+Options:
+1. Add the credentials to the .env file
+2. Choose another provider with --provider=groq|openai|huggingface
+3. Or run with --mode=heuristic
+    `);
+      process.exit(1);
+    }
+  }
+
+  console.log(`\nMode: ${opts.mode.toUpperCase()}`);
+  if (configFile) console.log("Config:", configFile);
+
+  if (opts.mode === "llm" || opts.mode === "hybrid") {
+    const provider = configureLLM({
+      provider: opts.provider,
+      model: opts.model,
+      concurrency: opts.concurrency,
+      maxRetries: opts.maxRetries,
+      stages: opts.stages,
+    });
+    console.log(`Provider: ${provider.name} (${provider.model})`);
+
+    configureCache({
+      enabled: !opts.noCache,
+      refreshStages: opts.refreshStages,
+    });
+  }
+
+  if (opts.mode === "llm") {
+    console.log("Using AI-powered analysis");
+  } else if (opts.mode === "hybrid") {
+    console.log("Using hybrid analysis (heuristic + AI)");
+  } else {
+    console.log("Using heuristic pattern-based analysis");
+  }
+
+  const session = createSession();
+
+  if (opts.watch) {
+    startWatch(opts, session, missing);
+    return;
+  }
+
+  let results;
+  if (opts.project) {
+    results = [];
+    for (const dir of opts.inputs) {
+      results.push(...(await processProject(dir, opts, session)));
+    }
+  } else {
+    const settled = await runWithConcurrency(
+      files.map((file) => async () => {
+        if (batch) console.log(`\n--- ${file} ---`);
+        return processFile(file, opts, session);
+      }),
+      batch ? opts.jobs : 1
+    );
+    results = settledRows(settled, files, opts.mode);
+  }
+
+  if (opts.mode !== "heuristic") {
+    const { hits, misses } = getCacheStats();
+    console.log(`LLM cache: ${hits} hit(s), ${misses} API call(s)`);
+  }
+
+  if (batch) {
+    printSummary(results);
+  }
+
+  if (missing.length || results.some((r) => r.status !== "ok")) {
+    process.exitCode = 1;
+  }
 }
 
 main();
@@ -0,0 +1,249 @@
+/**
+ * Small per-language lexer that separates comments, string literals and
+ * code. It only knows enough of each grammar to find where comments and
+ * strings start and end; everything else is "code".
+ */
+
+const C_FAMILY = {
+  line: ["//"],
+  block: [["/*", "*/"]],
+  docLine: ["///", "//!"],
+  docBlock: ["/**", "/*!"],
+  strings: ['"', "'"],
+};
+
+const SYNTAX = {
+  c: C_FAMILY,
+  java: C_FAMILY,
+  javascript: { ...C_FAMILY, strings: ['"', "'", "`"] },
+  go: { ...C_FAMILY, strings: ['"', "'", "`"] },
+  // 'a is a lifetime, not an unterminated char literal
+  rust: { ...C_FAMILY, strings: ['"'], charLiterals: true, rawStrings: true },
+  python: {
+    line: ["#"],
+    block: [],
+    docLine: [],
+    docBlock: [],
+    strings: ['"""', "'''", '"', "'"],
+    docstrings: true,
+  },
+  shell: {
+    line: ["#"],
+    block: [],
+    docLine: [],
+    docBlock: [],
+    strings: ['"', "'"],
+  },
+};
+
+const LANGUAGES = {
+  c: "c",
+  h: "c",
+  cc: "c",
+  cpp: "c",
+  cxx: "c",
+  hpp: "c",
+  "c++": "c",
+  cs: "c",
+  php: "c",
+  java: "java",
+  kt: "java",
+  scala: "java",
+  swift: "java",
+  dart: "java",
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  jsx: "javascript",
+  ts: "javascript",
+  tsx: "javascript",
+  javascript: "javascript",
+  typescript: "javascript",
+  go: "go",
+  rs: "rust",
+  rust: "rust",
+  py: "python",
+  python: "python",
+  rb: "shell",
+  sh: "shell",
+  r: "shell",
+};
+
+/**
+ * Maps a file extension or language name to a lexer, or null when the
+ * language is unknown (callers then treat the whole source as code).
+ */
+export function lexerFor(language) {
+  const key = String(language || "").toLowerCase();
+  return LANGUAGES[key] || null;
+}
+
+function startsWithAny(code, i, prefixes) {
+  return prefixes.find((p) => code.startsWith(p, i)) || null;
+}
+
+// Index just past a quoted literal that opens at `i` with `quote`.
+function endOfString(code, i, quote) {
+  let j = i + quote.length;
+  const multiline = quote.length === 3 || quote === "`";
+
+  while (j < code.length) {
+    if (code[j] === "\\") {
+      j += 2;
+    } else if (code.startsWith(quote, j)) {
+      return j + quote.length;
+    } else if (code[j] === "\n" && !multiline) {
+      return j;
+    } else {
+      j++;
+    }
+  }
+  return code.length;
+}
+
+// Rust raw strings: r"...", r#"..."#, br"..."
+function rawStringAt(code, i) {
+  const match = /^b?r(#*)"/.exec(code.slice(i, i + 40));
+  if (!match || /\w/.test(code[i - 1] || "")) return null;
+  const close = `"${match[1]}`;
+  const end = code.indexOf(close, i + match[0].length);
+  return end < 0 ? code.length : end + close.length;
+}
+
+// C++14 and Java-style digit separators: 1'000'000
+function digitSeparator(code, i, family) {
+  return family !== "python" && /\w/.test(code[i - 1] || "");
+}
+
+// Module start (after comments) or the line after a `def`/`class` header
+function atStatementStart(code, i) {
+  const lineStart = code.lastIndexOf("\n", i - 1) + 1;
+  if (code.slice(lineStart, i).trim()) return false;
+
+  const before = code.slice(0, lineStart).trimEnd();
+  const moduleStart = before
+    .split("\n")
+    .every((l) => !l.trim() || l.trim().startsWith("#"));
+  return moduleStart || before.endsWith(":");
+}
+
+/**
+ * Splits source into tokens `{ type, text, line }` where type is
+ * "code", "string", "comment" or "doc" (doc comments and Python
+ * docstrings). `line` is the 1-based line the token starts on.
+ */
+export function tokenize(code, language) {
+  const family = lexerFor(language);
+  if (!family) return [{ type: "code", text: code, line: 1 }];
+  const syntax = SYNTAX[family];
+
+  const tokens = [];
+  let line = 1;
+  let codeStart = 0;
+  let i = 0;
+
+  const push = (type, start, end) => {
+    if (end <= start) return;
+    const text = code.slice(start, end);
+    tokens.push({ type, text, line });
+    line += (text.match(/\n/g) || []).length;
+  };
+
+  while (i < code.length) {
+    let end = null;
+    let type = null;
+
+    const docLine = startsWithAny(code, i, syntax.docLine);
+    const lineComment = startsWithAny(code, i, syntax.line);
+    const docBlock = startsWithAny(code, i, syntax.docBlock);
+    const block = syntax.block.find(([open]) => code.startsWith(open, i));
+    const quote = startsWithAny(code, i, syntax.strings);
+
+    if (docBlock && !code.startsWith(`${docBlock}/`, i)) {
+      const close = code.indexOf("*/", i + docBlock.length);
+      end = close < 0 ? code.length : close + 2;
+      type = "doc";
+    } else if (block) {
+      const close = code.indexOf(block[1], i + block[0].length);
+      end = close < 0 ? code.length : close + block[1].length;
+      type = "comment";
+    } else if (docLine || lineComment) {
+      const close = code.indexOf("\n", i);
+      end = close < 0 ? code.length : close;
+      type = docLine ? "doc" : "comment";
+    } else if (syntax.rawStrings && (end = rawStringAt(code, i)) !== null) {
+      type = "string";
+    } else if (syntax.charLiterals && code[i] === "'") {
+      const match = /^'(?:\\.[^']*|[^\\'\n])'/.exec(code.slice(i, i + 12));
+      if (match) {
+        end = i + match[0].length;
+        type = "string";
+      }
+    } else if (quote && !(quote === "'" && digitSeparator(code, i, family))) {
+      end = endOfString(code, i, quote);
+      type =
+        syntax.docstrings && quote.length === 3 && atStatementStart(code, i)
+          ? "doc"
+          : "string";
+    }
+
+    if (type) {
+      push("code", codeStart, i);
+      push(type, i, end);
+      i = codeStart = end;
+    } else {
+      i++;
+    }
+  }
+
+  push("code", codeStart, code.length);
+  return tokens;
+}
+
+/**
+ * Returns `code` with comments and string contents replaced by spaces, so
+ * pattern matching sees only real code while line numbers stay intact,
+ * plus the comments found (doc comments flagged with `doc: true`).
+ */
+export function splitSource(code, language) {
+  let masked = "";
+  const comments = [];
+
+  for (const token of tokenize(code, language)) {
+    if (token.type === "code") {
+      masked += token.text;
+      continue;
+    }
+
+    if (token.type === "string") {
+      // Keep the delimiters so `""` still reads as a string to patterns
+      const blank = token.text.replace(/[^\n]/g, " ");
+      masked +=
+        token.text.length >= 2
+          ? token.text[0] + blank.slice(1, -1) + token.text.slice(-1)
+          : blank;
+    } else {
+      masked += token.text.replace(/[^\n]/g, " ");
+      comments.push({
+        text: token.text,
+        line: token.line,
+        doc: token.type === "doc",
+      });
+    }
+  }
+
+  return { code: masked, comments };
+}
+
+/**
+ * Strips comment markers and decoration from a comment's text and returns
+ * its non-empty lines.
+ */
+export function commentLines(text) {
+  return text
+    .replace(/^\s*(\/\*[*!]?|\/\/[/!]?|#+|"""|''')/, "")
+    .replace(/(\*\/|"""|''')\s*$/, "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*(\/\/[/!]?|#+|\*(?!\/))\s?/, "").trim())
+    .filter(Boolean);
+}
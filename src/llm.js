@@ -1,33 +1,425 @@
 
-import Groq from "groq-sdk";
 import path from "path";
+import {
+  DEFAULT_MODELS,
+  createProvider,
+  resolveProviderName,
+} from "./providers.js";
+import { cacheKey, hashContent, withCache } from "./cache.js";
+import { runWithConcurrency, withRetry } from "./concurrency.js";
+import { pickValid, validate } from "./schema.js";
+import { checkComplexity } from "./complexity.js";
+import { builtInPromptFile, promptMessages } from "./prompts.js";
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+/**
+ * Version of each stage's prompt template. Bump a stage's version whenever its
+ * prompt changes so previously cached responses are no longer used.
+ */
+export const PROMPT_VERSIONS = {
+  analysis: 1,
+  approach: 1,
+  complexity: 1,
+  explanation: 1,
+  edgeCases: 1,
+  examples: 1,
+  tests: 1,
+  unit: 1,
+  overview: 1,
+  project: 1,
+};
 
-export async function summarizeWithLLM(code, filePath) {
-  const language = path.extname(filePath).slice(1) || "cpp";
+/**
+ * Sampling settings per stage. A project config can override them, and the
+ * provider and model, under `stages.<name>`.
+ */
+export const STAGE_DEFAULTS = {
+  analysis: { temperature: 0.2, maxTokens: 1500 },
+  approach: { temperature: 0.3, maxTokens: 800 },
+  complexity: { temperature: 0.1, maxTokens: 1000 },
+  explanation: { temperature: 0.3, maxTokens: 600 },
+  edgeCases: { temperature: 0.6, maxTokens: 800 },
+  examples: { temperature: 0.5, maxTokens: 1000 },
+  tests: { temperature: 0.2, maxTokens: 1500 },
+  unit: { temperature: 0.2, maxTokens: 1000 },
+  overview: { temperature: 0.3, maxTokens: 600 },
+  project: { temperature: 0.3, maxTokens: 900 },
+};
+
+// Sampling settings for stages declared in the project config
+const CUSTOM_STAGE_DEFAULTS = { temperature: 0.3, maxTokens: 800 };
+
+/**
+ * Expected shape of each JSON-producing stage's response.
+ */
+export const STAGE_SCHEMAS = {
+  analysis: {
+    type: "object",
+    required: ["algorithmType", "title", "problem", "pseudocode"],
+    properties: {
+      reasoning: { type: "string" },
+      algorithmType: { type: "string", minLength: 1 },
+      title: { type: "string", minLength: 1 },
+      problem: { type: "string", minLength: 1 },
+      pseudocode: { type: "string", minLength: 1 },
+    },
+  },
+  complexity: {
+    type: "object",
+    required: ["timeComplexity", "spaceComplexity"],
+    properties: {
+      reasoning: { type: "string" },
+      timeComplexity: { type: "string", minLength: 1 },
+      spaceComplexity: { type: "string", minLength: 1 },
+    },
+  },
+  edgeCases: {
+    type: "object",
+    required: ["edgeCases"],
+    properties: {
+      edgeCases: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", minLength: 1 },
+      },
+    },
+  },
+  examples: {
+    type: "object",
+    required: ["examples"],
+    properties: {
+      examples: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["input", "output"],
+          properties: {
+            input: { type: "string" },
+            output: { type: "string" },
+            note: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  tests: {
+    type: "object",
+    required: ["cases"],
+    properties: {
+      entry: { type: "string" },
+      cases: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["name", "input", "expected"],
+          properties: {
+            name: { type: "string", minLength: 1 },
+            input: { type: "string" },
+            expected: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  unit: {
+    type: "object",
+    required: ["approach", "pseudocode", "timeComplexity", "spaceComplexity"],
+    properties: {
+      approach: { type: "string", minLength: 1 },
+      pseudocode: { type: "string", minLength: 1 },
+      timeComplexity: { type: "string", minLength: 1 },
+      spaceComplexity: { type: "string", minLength: 1 },
+    },
+  },
+};
+
+// Repair prompts sent after an invalid response, per stage
+const MAX_REPAIR_ATTEMPTS = 2;
+
+let provider = null;
+
+// Providers for stages configured with their own provider or model
+const stageProviders = new Map();
+
+const runSettings = {
+  concurrency: 3,
+  maxRetries: 4,
+  stages: {},
+};
 
-  console.log("Stage 1: Analyzing algorithm");
-  const analysis = await analyzeAlgorithm(code, language);
+/**
+ * Selects the LLM provider and model used by every stage, plus how many
+ * stages may run at once and how often rate-limited calls are retried.
+ * `stages` holds per-stage overrides (`enabled`, `provider`, `model`,
+ * `temperature`, `maxTokens`).
+ * Without an explicit call, LLM_PROVIDER / LLM_MODEL (or Groq) are used.
+ */
+export function configureLLM(options = {}) {
+  provider = createProvider(options);
+  stageProviders.clear();
 
-  console.log("Stage 2: Generating approach");
-  const approach = await generateApproach(code, language, analysis);
+  if (options.stages) runSettings.stages = options.stages;
 
-  console.log("Stage 3: Computing complexity");
-  const complexity = await analyzeComplexity(code, language, analysis);
+  if (Number.isInteger(options.concurrency) && options.concurrency > 0) {
+    runSettings.concurrency = options.concurrency;
+  }
+  if (Number.isInteger(options.maxRetries) && options.maxRetries >= 0) {
+    runSettings.maxRetries = options.maxRetries;
+  }
 
-  console.log("Stage 4: Generating explanation");
-  const explanation = await generateExplanation(code, language, analysis);
+  return provider;
+}
+
+function getProvider() {
+  if (!provider) provider = createProvider();
+  return provider;
+}
 
-  console.log("Stage 5: Finding edge cases");
-  const edgeCases = await findEdgeCases(code, language, analysis);
+function stageDefaults(stage) {
+  return STAGE_DEFAULTS[stage] || CUSTOM_STAGE_DEFAULTS;
+}
 
-  console.log("Stage 6: Generating examples");
-  const examples = await generateExamples(code, language, analysis);
+/**
+ * Effective settings of every stage, built-in and custom, `{ enabled,
+ * provider, model, temperature, maxTokens, prompt }` (plus `field` for
+ * custom stages), for a run with the given provider and model and
+ * per-stage overrides.
+ */
+export function resolveStageSettings({ provider: name, model, stages = {} }) {
+  const base = resolveProviderName(name);
+  const names = [
+    ...new Set([...Object.keys(STAGE_DEFAULTS), ...Object.keys(stages)]),
+  ];
+
+  return Object.fromEntries(
+    names.map((stage) => {
+      const overrides = stages[stage] || {};
+      const stageProvider = overrides.provider
+        ? resolveProviderName(overrides.provider)
+        : base;
+      const baseModel = stageProvider === base ? model : null;
+      const settings = {
+        enabled: overrides.enabled !== false,
+        provider: stageProvider,
+        model: overrides.model || baseModel || DEFAULT_MODELS[stageProvider],
+        temperature: overrides.temperature ?? stageDefaults(stage).temperature,
+        maxTokens: overrides.maxTokens ?? stageDefaults(stage).maxTokens,
+        prompt: overrides.prompt || builtInPromptFile(stage),
+      };
+      if (!(stage in STAGE_DEFAULTS)) settings.field = overrides.field || stage;
+
+      return [stage, settings];
+    })
+  );
+}
 
-  const notes = {
+/**
+ * False when the project config turned the stage off; its fields then come
+ * from the heuristic engine.
+ */
+export function stageEnabled(stage) {
+  const overrides = runSettings.stages[stage];
+  return !overrides || overrides.enabled !== false;
+}
+
+/**
+ * Enabled stages declared in the project config, as `[name, settings]`.
+ */
+function customStages() {
+  return Object.entries(runSettings.stages).filter(
+    ([stage, settings]) =>
+      !(stage in STAGE_DEFAULTS) && settings.enabled !== false
+  );
+}
+
+// "commonMistakes" -> "Common Mistakes"
+function headingFor(field) {
+  const words = field.replace(/([a-z0-9])([A-Z])/g, "$1 $2").replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// How a custom field is drawn (see NOTE_SECTIONS), from its schema
+function customSectionKind(schema) {
+  if (!schema || schema.type === "string") return "prose";
+  if (
+    schema.type === "array" &&
+    schema.items &&
+    schema.items.type === "string"
+  ) {
+    return "list";
+  }
+  return "data";
+}
+
+function customSchema(stage) {
+  const { field = stage, schema } = runSettings.stages[stage] || {};
+  if (!schema) return null;
+
+  return {
+    type: "object",
+    required: [field],
+    properties: { [field]: schema },
+  };
+}
+
+/**
+ * Chat messages for a stage: its template from the config's `prompt` or the
+ * built-in one, filled from `context`.
+ */
+function stagePrompt(stage, context) {
+  const overrides = runSettings.stages[stage] || {};
+  return promptMessages(overrides.prompt || builtInPromptFile(stage), context);
+}
+
+function stageProvider(stage) {
+  const base = getProvider();
+  const overrides = runSettings.stages[stage] || {};
+  if (!overrides.provider && !overrides.model) return base;
+
+  const name = overrides.provider
+    ? resolveProviderName(overrides.provider)
+    : base.name;
+  const model =
+    overrides.model || (name === base.name ? base.model : DEFAULT_MODELS[name]);
+
+  const key = `${name}/${model}`;
+  if (!stageProviders.has(key)) {
+    stageProviders.set(key, createProvider({ provider: name, model }));
+  }
+  return stageProviders.get(key);
+}
+
+/**
+ * Runs one stage's chat completion through the response cache, with the
+ * stage's provider, temperature and token limit.
+ */
+async function complete(stage, code, messages, options = {}) {
+  const llm = stageProvider(stage);
+  const promptVersion = PROMPT_VERSIONS[stage];
+  const overrides = runSettings.stages[stage] || {};
+  options = {
+    ...options,
+    temperature: overrides.temperature ?? stageDefaults(stage).temperature,
+    maxTokens: overrides.maxTokens ?? stageDefaults(stage).maxTokens,
+  };
+
+  const key = cacheKey({
+    codeHash: hashContent(code),
+    promptHash: hashContent(JSON.stringify(messages)),
+    stage,
+    promptVersion,
+    provider: llm.name,
+    model: llm.model,
+    temperature: options.temperature,
+    // A raised limit must not reuse a response cut off at the old one
+    maxTokens: options.maxTokens,
+  });
+
+  return withCache(key, { stage, promptVersion, model: llm.model }, () =>
+    withRetry(() => llm.chat({ messages, ...options }), {
+      retries: runSettings.maxRetries,
+      label: `Stage '${stage}'`,
+    })
+  );
+}
+
+// Local and HF-routed models often wrap JSON in a fenced block.
+function parseJSON(content) {
+  const fenced = content.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : content);
+}
+
+/**
+ * Runs a JSON stage and validates the response against its schema.
+ * Invalid responses are sent back with the validation errors for repair;
+ * when attempts run out, only the fields that did validate are returned.
+ * Problems are recorded in `report[stage]`.
+ */
+async function completeJSON(stage, code, messages, options, report) {
+  const schema = STAGE_SCHEMAS[stage] || customSchema(stage);
+  let conversation = messages;
+  let value = null;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const content = await complete(stage, code, conversation, options);
+
+    try {
+      value = parseJSON(content);
+      errors = validate(schema, value);
+    } catch (err) {
+      value = null;
+      errors = [`response is not valid JSON (${err.message})`];
+    }
+
+    if (errors.length === 0) {
+      if (attempt > 0 && report) {
+        report[stage] = { status: "repaired", attempts: attempt + 1 };
+      }
+      return value;
+    }
+
+    console.warn(`  Stage '${stage}' returned invalid JSON: ${errors[0]}`);
+
+    conversation = [
+      ...messages,
+      { role: "assistant", content },
+      {
+        role: "user",
+        content: `Your response did not match the required JSON format:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Respond again with ONLY the corrected JSON object.`,
+      },
+    ];
+  }
+
+  if (report) {
+    report[stage] = {
+      status: "invalid",
+      attempts: MAX_REPAIR_ATTEMPTS + 1,
+      errors,
+    };
+  }
+
+  return pickValid(schema, value);
+}
+
+export async function summarizeWithLLM(code, filePath) {
+  const language = path.extname(filePath).slice(1) || "cpp";
+  const report = { validation: {}, stageErrors: {} };
+
+  // Later stages still have the code itself to work from
+  let analysis = { algorithmType: "Unknown algorithm" };
+  if (stageEnabled("analysis")) {
+    console.log("Stage 1: Analyzing algorithm");
+    try {
+      analysis = await analyzeAlgorithm(code, language, report.validation);
+    } catch (err) {
+      recordStageError(report, "analysis", err);
+    }
+  }
+
+  // Stages 2-6 and custom stages only depend on the Stage 1 analysis, so
+  // they run concurrently.
+  const [approach, complexity, explanation, edgeCases, examples, ...custom] =
+    await runStages(
+      [
+        ["approach", "Stage 2: Generating approach", generateApproach],
+        ["complexity", "Stage 3: Computing complexity", analyzeComplexity],
+        ["explanation", "Stage 4: Generating explanation", generateExplanation],
+        ["edgeCases", "Stage 5: Finding edge cases", findEdgeCases],
+        ["examples", "Stage 6: Generating examples", generateExamples],
+        ...customStageRunners(),
+      ],
+      code,
+      language,
+      analysis,
+      report
+    );
+
+  const notes = cleanupNotes({
     title: analysis.title,
     language,
     problem: analysis.problem,
@@ -38,136 +430,193 @@ export async function summarizeWithLLM(code, filePath) {
     examples,
     explanation,
     code,
-  };
+  });
+
+  notes.metadata = reportMetadata(
+    report,
+    stageProvenance(notes, Object.keys(STAGE_FIELDS))
+  );
+  addCustomFields(notes, custom);
+
+  // Cross-check the model's Big-O against the static estimate
+  if (complexity) {
+    const check = checkComplexity(complexity, code, language);
+    notes.metadata.complexityCheck = check;
+    for (const d of check.disagreements) {
+      console.warn(
+        `  Complexity check: ${d.part} reported as ${d.reported}, static estimate is ${d.estimated}`
+      );
+    }
+  }
 
-  return cleanupNotes(notes);
+  return notes;
 }
 
 /**
- * Stage 1: Algorithm identification and problem understanding.
- * Produces structured reasoning, pseudocode, and a concise problem statement.
+ * Note fields produced by each stage.
  */
-async function analyzeAlgorithm(code, language) {
-  const prompt = `You are a Computer Science Professor analyzing code.
-
-CODE:
-\`\`\`${language}
-${code}
-\`\`\`
-
-Think step-by-step:
-1. What algorithm/pattern do I see? (sorting, searching, DP, etc.)
-2. What is the core problem being solved?
-3. What are the main steps in pseudocode form?
-
-Respond in JSON format:
-{
-  "reasoning": "Step-by-step analysis of what you observe",
-  "algorithmType": "e.g., Binary Search, Selection Sort, Dynamic Programming",
-  "title": "Short name (2-4 words)",
-  "problem": "One sentence problem statement (max 100 chars)",
-  "pseudocode": "1. Step one\\n2. Step two\\n3. Step three"
-}`;
-
-  const completion = await groq.chat.completions.create({
-    messages: [
-      {
-        role: "system",
-        content:
-          "You are a CS professor analyzing algorithms. Think step-by-step. Use \\n for line breaks in JSON strings.",
-      },
-      { role: "user", content: prompt },
-    ],
-    model: "llama-3.3-70b-versatile",
-    temperature: 0.2,
-    max_tokens: 1500,
-    response_format: { type: "json_object" },
-  });
+export const STAGE_FIELDS = {
+  analysis: ["title", "problem", "pseudocode"],
+  approach: ["approach"],
+  complexity: ["complexity"],
+  explanation: ["explanation"],
+  edgeCases: ["edgeCases"],
+  examples: ["examples"],
+};
 
-  return JSON.parse(completion.choices[0].message.content);
+/**
+ * runStages entries for the custom stages.
+ */
+function customStageRunners() {
+  return customStages().map(([stage]) => [
+    stage,
+    `Custom stage: ${stage}`,
+    (code, language, analysis, validation) =>
+      runCustomStage(stage, code, language, analysis, validation),
+  ]);
 }
 
 /**
- * Stage 2: Concise explanation of the algorithmic approach.
- * Optimized for clarity without repetition or tutorial-style verbosity.
+ * Stores the results of the custom stages (in customStages() order) under
+ * their fields, with their provenance, and lists their sections in
+ * `metadata.customSections` so renderers can draw them.
  */
-async function generateApproach(code, language, analysis) {
-  const prompt = `You are a technical writer creating CONCISE algorithm explanations.
+function addCustomFields(notes, values) {
+  const stages = customStages();
+  if (stages.length === 0) return;
+
+  notes.metadata.customSections = stages.map(([stage, settings], idx) => {
+    const field = settings.field || stage;
+    const value = values[idx];
+    const empty = Array.isArray(value) ? value.length === 0 : !value;
+
+    if (!empty) notes[field] = value;
+    notes.metadata.provenance[field] = empty ? "failed" : "llm";
+    return {
+      field,
+      heading: settings.heading || headingFor(field),
+      kind: customSectionKind(settings.schema),
+    };
+  });
+}
 
-ALGORITHM TYPE: ${analysis.algorithmType}
-PROBLEM: ${analysis.problem}
+function recordStageError(report, stage, err) {
+  const message = err && err.message ? err.message : String(err);
+  report.stageErrors[stage] = message;
+  console.warn(`  Stage '${stage}' failed: ${message}`);
+}
 
-CODE:
-\`\`\`${language}
-${code}
-\`\`\`
+/**
+ * Runs analysis-dependent stages under the configured concurrency cap.
+ * Results keep the order of `stages`. A failed stage resolves to undefined
+ * and is recorded in `report.stageErrors`, leaving the other stages intact;
+ * a disabled stage resolves to undefined without running.
+ */
+async function runStages(stages, code, language, analysis, report) {
+  const settled = await runWithConcurrency(
+    stages.map(([name, label, stage]) => async () => {
+      if (!stageEnabled(name)) return undefined;
+      console.log(label);
+      return stage(code, language, analysis, report.validation);
+    }),
+    runSettings.concurrency
+  );
+
+  return settled.map((r, idx) => {
+    if (r.status === "fulfilled") return r.value;
+    recordStageError(report, stages[idx][0], r.reason);
+    return undefined;
+  });
+}
 
-Write a BRIEF explanation of the approach in 2-3 SHORT paragraphs:
-- Paragraph 1: What the algorithm does and key insight
-- Paragraph 2: How it works step-by-step
-- Paragraph 3: Why it's effective
+/**
+ * Marks each field of the given stages as `llm`, or `failed` when the stage
+ * threw or left its field empty.
+ */
+function stageProvenance(notes, stages) {
+  const provenance = {};
+
+  for (const stage of stages) {
+    for (const field of STAGE_FIELDS[stage]) {
+      const value = notes[field];
+      const empty = Array.isArray(value) ? value.length === 0 : !value;
+      provenance[field] = empty ? "failed" : "llm";
+    }
+  }
 
-CRITICAL RULES:
-- Be concise, no repetition
-- Use \\n\\n to separate paragraphs
-- Focus on key ideas only
+  return provenance;
+}
+
+/**
+ * Builds the fixture `metadata` for one LLM run: per-field provenance, stage
+ * errors, and schema problems. Notes whose stages never produced valid
+ * output are flagged as low-confidence.
+ */
+function reportMetadata(report, provenance) {
+  const metadata = { provenance };
 
-Return ONLY the approach text.`;
+  if (Object.keys(report.stageErrors).length) {
+    metadata.stageErrors = report.stageErrors;
+  }
 
-  const completion = await groq.chat.completions.create({
-    messages: [
-      {
-        role: "system",
-        content:
-          "You are a technical writer. Be concise. Short paragraphs only.",
-      },
-      { role: "user", content: prompt },
-    ],
-    model: "llama-3.3-70b-versatile",
-    temperature: 0.3,
-    max_tokens: 800,
-  });
+  if (Object.keys(report.validation).length) {
+    metadata.validation = report.validation;
+    metadata.lowConfidence = Object.values(report.validation).some(
+      (v) => v.status === "invalid"
+    );
+  }
 
-  return completion.choices[0].message.content.trim();
+  return metadata;
 }
 
 /**
- * Stage 3: Time and space complexity analysis.
- * Returns a compact summary without explanatory prose.
+ * Stage 1: Algorithm identification and problem understanding.
+ * Produces structured reasoning, pseudocode, and a concise problem statement.
  */
-async function analyzeComplexity(code, language, analysis) {
-  const prompt = `You are an algorithm analyst computing time and space complexity.
-
-ALGORITHM: ${analysis.algorithmType}
+async function analyzeAlgorithm(code, language, validation) {
+  const result = await completeJSON(
+    "analysis",
+    code,
+    await stagePrompt("analysis", { code, language }),
+    { json: true },
+    validation
+  );
 
-CODE:
-\`\`\`${language}
-${code}
-\`\`\`
+  // Later stages interpolate algorithmType, so it must never be undefined
+  return { algorithmType: "Unknown algorithm", ...result };
+}
 
-Respond in JSON:
-{
-  "reasoning": "Brief analysis",
-  "timeComplexity": "O(?)",
-  "spaceComplexity": "O(?)"
-}`;
+/**
+ * Stage 2: Concise explanation of the algorithmic approach.
+ * Optimized for clarity without repetition or tutorial-style verbosity.
+ */
+async function generateApproach(code, language, analysis) {
+  const content = await complete(
+    "approach",
+    code,
+    await stagePrompt("approach", { code, language, analysis })
+  );
 
-  const completion = await groq.chat.completions.create({
-    messages: [
-      {
-        role: "system",
-        content: "You are an algorithm analyst. Be precise and brief.",
-      },
-      { role: "user", content: prompt },
-    ],
-    model: "llama-3.3-70b-versatile",
-    temperature: 0.1,
-    max_tokens: 1000,
-    response_format: { type: "json_object" },
-  });
+  return content.trim();
+}
 
-  const result = JSON.parse(completion.choices[0].message.content);
-  return `Time: ${result.timeComplexity}, Space: ${result.spaceComplexity}`;
+/**
+ * Stage 3: Time and space complexity analysis.
+ * Returns a compact summary without explanatory prose.
+ */
+async function analyzeComplexity(code, language, analysis, validation) {
+  const result = await completeJSON(
+    "complexity",
+    code,
+    await stagePrompt("complexity", { code, language, analysis }),
+    { json: true },
+    validation
+  );
+  // A field that never validated is left out rather than shown as "undefined"
+  const parts = [];
+  if (result.timeComplexity) parts.push(`Time: ${result.timeComplexity}`);
+  if (result.spaceComplexity) parts.push(`Space: ${result.spaceComplexity}`);
+  return parts.join(", ");
 }
 
 /**
@@ -175,107 +624,222 @@ Respond in JSON:
  * Focuses on intent and structure rather than syntax.
  */
 async function generateExplanation(code, language, analysis) {
-  const prompt = `You are a code reviewer providing a brief walkthrough.
+  const content = await complete(
+    "explanation",
+    code,
+    await stagePrompt("explanation", { code, language, analysis })
+  );
 
-ALGORITHM: ${analysis.algorithmType}
+  return content.trim();
+}
 
-CODE:
-\`\`\`${language}
-${code}
-\`\`\`
+/**
+ * Stage 5: Identification of realistic edge cases.
+ */
+async function findEdgeCases(code, language, analysis, validation) {
+  const result = await completeJSON(
+    "edgeCases",
+    code,
+    await stagePrompt("edgeCases", { code, language, analysis }),
+    { json: true },
+    validation
+  );
+  return result.edgeCases || [];
+}
 
-Provide 2-3 short paragraphs:
-- Setup
-- Main logic flow
-- Key implementation details
+/**
+ * Stage 6: Example generation for illustration purposes.
+ */
+async function generateExamples(code, language, analysis, validation) {
+  const result = await completeJSON(
+    "examples",
+    code,
+    await stagePrompt("examples", { code, language, analysis }),
+    { json: true },
+    validation
+  );
+  return result.examples || [];
+}
 
-Use \\n\\n to separate paragraphs.
-Return ONLY the explanation text.`;
+/**
+ * A stage declared in the project config. Its template sees the code, the
+ * language and the Stage 1 analysis. Without a `schema` the response text
+ * is the field's value; with one, the model is asked for
+ * `{ "<field>": value }` and the value is validated like a built-in stage's.
+ */
+async function runCustomStage(stage, code, language, analysis, validation) {
+  const { field = stage, schema } = runSettings.stages[stage];
+  const messages = await stagePrompt(stage, { code, language, analysis });
 
-  const completion = await groq.chat.completions.create({
-    messages: [
-      {
-        role: "system",
-        content: "You are a code reviewer. Be brief. Skip obvious details.",
-      },
-      { role: "user", content: prompt },
-    ],
-    model: "llama-3.3-70b-versatile",
-    temperature: 0.3,
-    max_tokens: 600,
-  });
+  if (!schema) {
+    return (await complete(stage, code, messages)).trim();
+  }
+
+  const user = messages[messages.length - 1];
+  user.content += `
 
-  return completion.choices[0].message.content.trim();
+Respond in JSON: an object with a "${field}" property matching this JSON schema:
+${JSON.stringify(schema, null, 2)}`;
+
+  const result = await completeJSON(
+    stage,
+    code,
+    messages,
+    { json: true },
+    validation
+  );
+  return result[field];
 }
 
+const TEST_STYLES = {
+  stdin: `The program reads stdin and writes stdout. For each case, "input" is
+the exact stdin text and "expected" the exact stdout.`,
+  function: `The code is function-style (no main). Set "entry" to the function
+or method to call. For each case, "input" is a JSON array of the arguments
+and "expected" the JSON return value.`,
+};
+
 /**
- * Stage 5: Identification of realistic edge cases.
+ * Stage 7 (optional, --tests): concrete test cases for the note's edge cases
+ * and examples, in the shape the harness for `style` ("stdin" or
+ * "function") expects.
  */
-async function findEdgeCases(code, language, analysis) {
-  const prompt = `You are a QA tester identifying edge cases.
+export async function generateTestCases(code, note, style) {
+  if (!stageEnabled("tests")) return { cases: [] };
+  console.log("Stage 7: Building edge-case tests");
 
-ALGORITHM: ${analysis.algorithmType}
-PROBLEM: ${analysis.problem}
+  const language = note.language || "cpp";
+  const edgeCases = (note.edgeCases || []).map((e) => `- ${e}`).join("\n");
+  const messages = await stagePrompt("tests", {
+    code,
+    language,
+    note,
+    edgeCases: edgeCases || "- (none listed; pick the most important ones)",
+    testStyle: TEST_STYLES[style],
+  });
 
-List 4-6 edge cases in JSON:
-{
-  "edgeCases": ["Case 1", "Case 2"]
-}`;
+  return completeJSON("tests", code, messages, { json: true }, null);
+}
 
-  const completion = await groq.chat.completions.create({
-    messages: [
-      {
-        role: "system",
-        content: "You are a QA tester. Be specific and concise.",
-      },
-      { role: "user", content: prompt },
-    ],
-    model: "llama-3.3-70b-versatile",
-    temperature: 0.6,
-    max_tokens: 800,
-    response_format: { type: "json_object" },
+/**
+ * Per-unit pass for multi-function files: approach, pseudocode and
+ * complexity of one function or class, with the rest of the file's units
+ * named for context.
+ */
+async function analyzeUnit(unit, language, others, validation) {
+  const messages = await stagePrompt("unit", {
+    language,
+    unit,
+    others: others.join(", ") || "none",
   });
+  const result = await completeJSON(
+    "unit",
+    unit.code,
+    messages,
+    { json: true },
+    validation
+  );
+
+  const parts = [];
+  if (result.timeComplexity) parts.push(`Time: ${result.timeComplexity}`);
+  if (result.spaceComplexity) parts.push(`Space: ${result.spaceComplexity}`);
+  return {
+    approach: result.approach,
+    pseudocode: result.pseudocode,
+    complexity: parts.join(", "),
+  };
+}
 
-  const result = JSON.parse(completion.choices[0].message.content);
-  return result.edgeCases || [];
+/**
+ * File-level overview of how the units fit together, from their summaries.
+ */
+async function generateOverview(code, language, units) {
+  const summaries = units
+    .map((u) => `- ${u.name} (${u.kind}): ${u.approach.split("\n")[0]}`)
+    .join("\n");
+  const content = await complete(
+    "overview",
+    code,
+    await stagePrompt("overview", { code, language, parts: summaries })
+  );
+
+  return content.trim();
 }
 
 /**
- * Stage 6: Example generation for illustration purposes.
+ * Analyzes each unit of a multi-function file, then writes the overview.
+ * `units` carry heuristic `approach`, `pseudocode` and `complexity`; a unit
+ * whose stage fails keeps them. Returns `{ overview, units, metadata }`,
+ * where `overview` is empty when its stage failed and `metadata` holds the
+ * provenance of both fields plus any stage errors, as in a note's metadata.
  */
-async function generateExamples(code, language, analysis) {
-  const prompt = `You are a technical writer creating concrete examples.
-
-ALGORITHM: ${analysis.algorithmType}
-PROBLEM: ${analysis.problem}
-
-Respond in JSON:
-{
-  "examples": [
-    {
-      "input": "Example input",
-      "output": "Expected output",
-      "note": "Brief note"
+export async function analyzeUnitsWithLLM(code, language, units) {
+  const report = { validation: {}, stageErrors: {} };
+  if (stageEnabled("unit")) {
+    console.log(`Analyzing ${units.length} functions and classes separately`);
+  }
+  const settled = await runWithConcurrency(
+    units.map((unit) => async () => {
+      if (!stageEnabled("unit")) return null;
+      const others = units.filter((u) => u !== unit).map((u) => u.name);
+      return analyzeUnit(unit, language, others, report.validation);
+    }),
+    runSettings.concurrency
+  );
+
+  let analyzed = 0;
+  const merged = settled.map((r, idx) => {
+    const unit = units[idx];
+    if (r.status !== "fulfilled") {
+      recordStageError(report, `unit:${unit.name}`, r.reason);
+      return unit;
     }
-  ]
-}`;
-
-  const completion = await groq.chat.completions.create({
-    messages: [
-      {
-        role: "system",
-        content: "Create clear, concrete examples.",
-      },
-      { role: "user", content: prompt },
-    ],
-    model: "llama-3.3-70b-versatile",
-    temperature: 0.5,
-    max_tokens: 1000,
-    response_format: { type: "json_object" },
+    if (!r.value) return unit;
+    analyzed++;
+    return {
+      ...unit,
+      approach: r.value.approach || unit.approach,
+      pseudocode: r.value.pseudocode || unit.pseudocode,
+      complexity: r.value.complexity || unit.complexity,
+    };
   });
 
-  const result = JSON.parse(completion.choices[0].message.content);
-  return result.examples || [];
+  let overview = "";
+  if (stageEnabled("overview")) {
+    try {
+      overview = await generateOverview(code, language, merged);
+    } catch (err) {
+      recordStageError(report, "overview", err);
+    }
+  }
+
+  return {
+    overview,
+    units: merged,
+    metadata: reportMetadata(report, {
+      units: analyzed === units.length ? "llm" : "heuristic",
+      overview: overview ? "llm" : "heuristic",
+    }),
+  };
+}
+
+/**
+ * Project mode: architecture overview of a directory from its dependency
+ * tree and the one-line summary of each file's note. Empty when the stage
+ * is disabled.
+ */
+export async function summarizeProjectWithLLM(name, modules, tree) {
+  if (!stageEnabled("project")) return "";
+  console.log("Writing architecture overview");
+
+  const files = modules.map((m) => `- ${m}`).join("\n");
+  const content = await complete(
+    "project",
+    `DEPENDENCY TREE:\n${tree}\n\nFILES:\n${files}`,
+    await stagePrompt("project", { name, tree, files })
+  );
+
+  return content.trim();
 }
 
 /**
@@ -287,23 +851,56 @@ export async function enhanceWithLLM(heuristicNotes, code) {
 
   console.log("Enhancing heuristic notes with LLM");
 
+  const report = { validation: {}, stageErrors: {} };
   const analysis = {
     algorithmType: heuristicNotes.title,
+    title: heuristicNotes.title,
     problem: heuristicNotes.problem,
     pseudocode: heuristicNotes.pseudocode,
   };
 
-  const approach = await generateApproach(code, language, analysis);
-  const explanation = await generateExplanation(code, language, analysis);
-  const edgeCases = await findEdgeCases(code, language, analysis);
+  const [approach, explanation, edgeCases, ...custom] = await runStages(
+    [
+      ["approach", "Generating approach", generateApproach],
+      ["explanation", "Generating explanation", generateExplanation],
+      ["edgeCases", "Finding edge cases", findEdgeCases],
+      ...customStageRunners(),
+    ],
+    code,
+    language,
+    analysis,
+    report
+  );
+
+  const enhanced = { approach, explanation, edgeCases };
+  const provenance = {};
+  for (const field of Object.values(STAGE_FIELDS).flat()) {
+    provenance[field] = "heuristic";
+  }
 
-  return {
+  // A failed stage keeps its heuristic value
+  for (const [field, value] of Object.entries(enhanced)) {
+    const empty = Array.isArray(value) ? value.length === 0 : !value;
+    if (!empty) provenance[field] = "llm";
+  }
+
+  const notes = {
     ...heuristicNotes,
-    approach,
-    explanation,
-    edgeCases: [...(heuristicNotes.edgeCases || []), ...edgeCases].slice(0, 6),
+    approach: approach || heuristicNotes.approach,
+    explanation: explanation || heuristicNotes.explanation,
+    edgeCases: [
+      ...(heuristicNotes.edgeCases || []),
+      ...(edgeCases || []),
+    ].slice(0, 6),
     code,
+    metadata: {
+      ...heuristicNotes.metadata,
+      ...reportMetadata(report, provenance),
+    },
   };
+  addCustomFields(notes, custom);
+
+  return notes;
 }
 
 /**
@@ -342,7 +939,7 @@ function cleanupNotes(notes) {
  */
 export async function testLLMConnection() {
   try {
-    const completion = await groq.chat.completions.create({
+    const content = await getProvider().chat({
       messages: [
         {
           role: "user",
@@ -350,13 +947,12 @@ export async function testLLMConnection() {
             'Respond with JSON: {"status": "ok", "message": "Connected"}',
         },
       ],
-      model: "llama-3.3-70b-versatile",
       temperature: 0,
-      max_tokens: 100,
-      response_format: { type: "json_object" },
+      maxTokens: 100,
+      json: true,
     });
 
-    const response = JSON.parse(completion.choices[0].message.content);
+    const response = parseJSON(content);
     return response.status === "ok";
   } catch (error) {
     console.error("LLM connection test failed:", error.message);
@@ -0,0 +1,219 @@
+// Notion rejects text objects over 2000 characters.
+export const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Builds a rich_text array for `content`, split into as many text objects
+ * as the per-object length limit requires. `annotations` and `link` are
+ * copied onto every piece.
+ */
+export function richText(content, { annotations, link } = {}) {
+  const text = content || "";
+  const parts = [];
+
+  for (let start = 0; start < text.length; ) {
+    let end = Math.min(start + MAX_TEXT_LENGTH, text.length);
+    // Never cut a surrogate pair in half
+    if (end < text.length && /[\uDC00-\uDFFF]/.test(text[end])) end--;
+
+    const part = { type: "text", text: { content: text.slice(start, end) } };
+    if (link) part.text.link = { url: link };
+    if (annotations) part.annotations = { ...annotations };
+    parts.push(part);
+    start = end;
+  }
+
+  return parts;
+}
+
+function equation(expression, annotations) {
+  const part = { type: "equation", equation: { expression } };
+  if (annotations) part.annotations = { ...annotations };
+  return part;
+}
+
+/**
+ * Rewrites a complexity bound such as `O(n log n)` or `O(n²)` as LaTeX.
+ */
+function bigOToLatex(text) {
+  return text
+    .replace(/^Θ/, "\\Theta")
+    .replace(/^Ω/, "\\Omega")
+    .replace(/²/g, "^2")
+    .replace(/³/g, "^3")
+    .replace(/\bsqrt\s*\(([^()]*)\)/g, "\\sqrt{$1}")
+    .replace(/\b(log|ln)\b/g, "\\$1")
+    .replace(/\^\(([^()]*)\)/g, "^{$1}")
+    .replace(/\s*\*\s*/g, " \\cdot ");
+}
+
+// Alternatives are tried left to right at each position, so code spans win
+// over emphasis markers inside them.
+const INLINE_PATTERN = new RegExp(
+  [
+    "`([^`\\n]+)`",
+    "\\$([^$\\n]+)\\$",
+    "\\*\\*([^*\\n]+?)\\*\\*",
+    "__([^_\\n]+?)__",
+    "~~([^~\\n]+?)~~",
+    "\\[([^\\]\\n]+)\\]\\((https?:\\/\\/[^)\\s]+)\\)",
+    "(?<![\\w*])\\*([^*\\s][^*\\n]*?)\\*(?![\\w*])",
+    "(?<![\\w_])_([^_\\s][^_\\n]*?)_(?![\\w_])",
+    "(?<!\\w)([OΘΩ]\\((?:[^()\\n]|\\([^()\\n]*\\))+\\))",
+  ].join("|"),
+  "g"
+);
+
+/**
+ * Converts inline markdown to Notion rich text: bold, italic, strikethrough
+ * and code become annotations, links keep their URL, and `$...$` LaTeX and
+ * big-O bounds become equations.
+ */
+export function markdownToRichText(text, annotations = null) {
+  const parts = [];
+  if (!text) return parts;
+
+  const pattern = new RegExp(INLINE_PATTERN.source, "g");
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) {
+      parts.push(...richText(text.slice(last, match.index), { annotations }));
+    }
+
+    const [
+      ,
+      code,
+      latex,
+      bold,
+      boldAlt,
+      strike,
+      label,
+      url,
+      italic,
+      italicAlt,
+      bigO,
+    ] = match;
+
+    if (code !== undefined) {
+      parts.push(
+        ...richText(code, { annotations: { ...annotations, code: true } })
+      );
+    } else if (latex !== undefined) {
+      parts.push(equation(latex.trim(), annotations));
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      parts.push(
+        ...markdownToRichText(bold ?? boldAlt, { ...annotations, bold: true })
+      );
+    } else if (strike !== undefined) {
+      parts.push(
+        ...markdownToRichText(strike, { ...annotations, strikethrough: true })
+      );
+    } else if (label !== undefined) {
+      parts.push(...richText(label, { annotations, link: url }));
+    } else if (italic !== undefined || italicAlt !== undefined) {
+      parts.push(
+        ...markdownToRichText(italic ?? italicAlt, {
+          ...annotations,
+          italic: true,
+        })
+      );
+    } else {
+      parts.push(equation(bigOToLatex(bigO), annotations));
+    }
+
+    last = pattern.lastIndex;
+  }
+
+  if (last < text.length) {
+    parts.push(...richText(text.slice(last), { annotations }));
+  }
+
+  return parts;
+}
+
+function block(type, body) {
+  return { object: "block", type, [type]: body };
+}
+
+const FENCE = /^\s*```\s*([\w+#-]*)\s*$/;
+const HEADING = /^\s*#{1,6}\s+(.*)$/;
+const BULLET = /^\s*[-*+•●▪]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+/**
+ * Converts markdown prose into Notion blocks. Headings become heading_3
+ * (notes already use heading_2 for their sections), list items keep
+ * indented continuation lines, and fenced code takes its language from
+ * `mapLanguage`.
+ */
+export function markdownToBlocks(
+  text,
+  { mapLanguage = () => "plain text" } = {}
+) {
+  const blocks = [];
+  if (!text) return blocks;
+
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  let paragraph = [];
+  let item = null; // { type, lines }
+
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push(
+        block("paragraph", {
+          rich_text: markdownToRichText(paragraph.join("\n")),
+        })
+      );
+      paragraph = [];
+    }
+    if (item) {
+      blocks.push(
+        block(item.type, {
+          rich_text: markdownToRichText(item.lines.join("\n")),
+        })
+      );
+      item = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(FENCE))) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !FENCE.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push(
+        block("code", {
+          rich_text: richText(code.join("\n")),
+          language: match[1] ? mapLanguage(match[1]) : "plain text",
+        })
+      );
+    } else if (!line.trim()) {
+      flush();
+    } else if ((match = line.match(HEADING))) {
+      flush();
+      blocks.push(
+        block("heading_3", { rich_text: markdownToRichText(match[1].trim()) })
+      );
+    } else if ((match = line.match(BULLET))) {
+      flush();
+      item = { type: "bulleted_list_item", lines: [match[1].trim()] };
+    } else if ((match = line.match(NUMBERED))) {
+      flush();
+      item = { type: "numbered_list_item", lines: [match[1].trim()] };
+    } else if (item && /^\s/.test(line)) {
+      item.lines.push(line.trim());
+    } else {
+      if (item) flush();
+      paragraph.push(line.trim());
+    }
+  }
+
+  flush();
+  return blocks;
+}
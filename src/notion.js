@@ -1,5 +1,24 @@
 
-import { Client } from "@notionhq/client";
+import { Client, APIErrorCode } from "@notionhq/client";
+import { hashContent } from "./cache.js";
+import {
+  MAX_TEXT_LENGTH,
+  markdownToBlocks,
+  markdownToRichText,
+  richText,
+} from "./markdown.js";
+import {
+  HEURISTIC_NOTICE,
+  algorithmTags,
+  complexityPart,
+  formatPseudocode,
+  hasSection,
+  isHeuristicSourced,
+  metadataSummary,
+  noteSections,
+  unitHeading,
+  verificationNotice,
+} from "./sections.js";
 
 function mapToNotionLanguage(langHint) {
   if (!langHint || typeof langHint !== "string") return "plain text";
@@ -61,288 +80,536 @@ function mapToNotionLanguage(langHint) {
   return "plain text";
 }
 
-// Splits text into paragraph units based on blank lines.
+// Notion rejects requests with more than 100 blocks in one children array.
+const MAX_CHILDREN = 100;
 
-function splitIntoParagraphs(text) {
-  if (!text) return [];
+// Converts markdown prose into Notion blocks.
 
-  return text
-    .split(/\n\n+/)
-    .map((p) => p.trim())
-    .filter(Boolean);
+function createTextBlock(text) {
+  return markdownToBlocks(text, { mapLanguage: mapToNotionLanguage });
 }
 
-// Converts text into Notion paragraph blocks.
-
-function createTextBlock(text) {
-  if (!text) return [];
+function heading(type, text) {
+  return { object: "block", type, [type]: { rich_text: richText(text) } };
+}
 
-  return splitIntoParagraphs(text).map((para) => ({
+function codeBlock(text, language) {
+  return {
     object: "block",
-    type: "paragraph",
-    paragraph: {
-      rich_text: [{ type: "text", text: { content: para } }],
-    },
-  }));
+    type: "code",
+    code: { rich_text: richText(text), language },
+  };
 }
 
-// Converts a generated fixture into Notion-compatible blocks.
- 
-function fixtureToBlocks(fx) {
+/**
+ * Splits source code into code blocks along line boundaries, each short
+ * enough for a single text object. A line longer than that gets a block of
+ * its own, which `richText` splits into several text objects.
+ */
+function codeBlocks(code, language) {
+  if (code.length <= MAX_TEXT_LENGTH) return [codeBlock(code, language)];
+
   const blocks = [];
-  const notionLang = mapToNotionLanguage(fx.language);
+  let currentChunk = "";
+
+  code.split("\n").forEach((line) => {
+    const next = `${currentChunk}${line}\n`;
+    if (currentChunk && next.length > MAX_TEXT_LENGTH) {
+      blocks.push(codeBlock(currentChunk, language));
+      currentChunk = `${line}\n`;
+    } else {
+      currentChunk = next;
+    }
+  });
 
- 
+  if (currentChunk.trim()) {
+    blocks.push(codeBlock(currentChunk, language));
+  }
+
+  return blocks;
+}
 
-  if (fx.metadata || fx.problem) {
-    let metaText = "";
+const NOTICE_COLORS = {
+  success: "green_background",
+  warning: "yellow_background",
+  failure: "red_background",
+};
 
-    if (fx.metadata) {
-      const date = new Date(fx.metadata.generatedAt).toLocaleString();
-      metaText = `Generated: ${date} | Mode: ${fx.metadata.mode} | Source: ${fx.metadata.sourceFile}`;
-    }
+function exampleBlocks(examples, notionLang) {
+  const blocks = [];
 
-    if (fx.problem && fx.problem !== "not inferred") {
-      if (metaText) metaText += "\n\n";
-      metaText += `Problem: ${fx.problem}`;
-    }
+  examples.forEach((ex, idx) => {
+    blocks.push(heading("heading_3", `Example ${idx + 1} — Input`));
+    blocks.push(codeBlock(ex.input, notionLang));
+    blocks.push(heading("heading_3", `Example ${idx + 1} — Output`));
+    blocks.push(codeBlock(ex.output, "plain text"));
 
-    if (metaText) {
+    const notice = verificationNotice(ex);
+    if (notice) {
       blocks.push({
         object: "block",
         type: "callout",
         callout: {
-          rich_text: [{ type: "text", text: { content: metaText } }],
-          color: "blue_background",
+          rich_text: richText(notice.text),
+          color: NOTICE_COLORS[notice.style],
         },
       });
     }
-  }
 
-  if (fx.approach) {
-    blocks.push({
-      object: "block",
-      type: "heading_2",
-      heading_2: {
-        rich_text: [{ type: "text", text: { content: "Approach" } }],
-      },
-    });
+    if (ex.note) {
+      blocks.push({
+        object: "block",
+        type: "paragraph",
+        paragraph: { rich_text: markdownToRichText(ex.note) },
+      });
+    }
+  });
+
+  return blocks;
+}
 
-    blocks.push(...createTextBlock(fx.approach));
+/**
+ * One toggle heading per function or class; its analysis and code are
+ * nested inside so the page stays short until a unit is opened. Children
+ * past the per-request limit are appended by `appendBlocks`.
+ */
+function unitBlocks(units, notionLang) {
+  return units.map((unit) => {
+    const children = [];
+    if (unit.approach) children.push(...createTextBlock(unit.approach));
+    if (unit.complexity) {
+      children.push({
+        object: "block",
+        type: "paragraph",
+        paragraph: {
+          rich_text: markdownToRichText(`**Complexity:** ${unit.complexity}`),
+        },
+      });
+    }
+    if (unit.pseudocode) {
+      children.push(codeBlock(formatPseudocode(unit.pseudocode), "plain text"));
+    }
+    if (unit.code) children.push(...codeBlocks(unit.code, notionLang));
+
+    const block = heading("heading_3", unitHeading(unit));
+    block.heading_3.is_toggleable = true;
+    block.heading_3.children = children;
+    return block;
+  });
+}
+
+function sectionBlocks(fx, section, notionLang) {
+  const value = fx[section.field];
+
+  switch (section.kind) {
+    case "prose":
+      return createTextBlock(value);
+    case "pseudocode":
+      return [codeBlock(formatPseudocode(value), "plain text")];
+    case "diagram":
+      return codeBlocks(value, "plain text");
+    case "data":
+      return codeBlocks(JSON.stringify(value, null, 2), "json");
+    case "list":
+      return value.map((item) => ({
+        object: "block",
+        type: "bulleted_list_item",
+        bulleted_list_item: { rich_text: markdownToRichText(item.trim()) },
+      }));
+    case "examples":
+      return exampleBlocks(value, notionLang);
+    case "units":
+      return unitBlocks(value, notionLang);
+    case "code":
+      return codeBlocks(value, notionLang);
+    default:
+      return [];
   }
+}
 
-  if (fx.pseudocode) {
-    blocks.push({
-      object: "block",
-      type: "heading_2",
-      heading_2: {
-        rich_text: [{ type: "text", text: { content: "Pseudocode" } }],
-      },
-    });
+// Converts a generated fixture into Notion-compatible blocks.
 
-    const pseudocode = fx.pseudocode
-      .split("\n")
-      .map((line) => line.trim())
-      .filter(Boolean)
-      .join("\n");
+export function fixtureToBlocks(fx) {
+  const blocks = [];
+  const notionLang = mapToNotionLanguage(fx.language);
 
+  const summary = metadataSummary(fx);
+  if (summary) {
     blocks.push({
       object: "block",
-      type: "code",
-      code: {
-        rich_text: [{ type: "text", text: { content: pseudocode } }],
-        language: "plain text",
-      },
+      type: "callout",
+      callout: { rich_text: richText(summary), color: "blue_background" },
     });
   }
 
-  if (fx.complexity) {
+  const judge = fx.metadata && fx.metadata.judge;
+  if (judge && judge.url) {
     blocks.push({
       object: "block",
-      type: "heading_2",
-      heading_2: {
-        rich_text: [{ type: "text", text: { content: "Complexity" } }],
-      },
+      type: "bookmark",
+      bookmark: { url: judge.url },
     });
-
-    blocks.push(...createTextBlock(fx.complexity));
   }
 
-  if (Array.isArray(fx.edgeCases) && fx.edgeCases.length) {
-    blocks.push({
-      object: "block",
-      type: "heading_2",
-      heading_2: {
-        rich_text: [{ type: "text", text: { content: "Edge Cases" } }],
-      },
-    });
+  for (const section of noteSections(fx)) {
+    if (!hasSection(fx, section)) continue;
+
+    blocks.push(heading("heading_2", section.heading));
 
-    fx.edgeCases.forEach((ec) => {
+    if (isHeuristicSourced(fx, section.field)) {
       blocks.push({
         object: "block",
-        type: "bulleted_list_item",
-        bulleted_list_item: {
-          rich_text: [{ type: "text", text: { content: ec.trim() } }],
+        type: "callout",
+        callout: {
+          rich_text: richText(HEURISTIC_NOTICE),
+          color: "yellow_background",
         },
       });
-    });
+    }
+
+    blocks.push(...sectionBlocks(fx, section, notionLang));
   }
 
-  if (Array.isArray(fx.examples) && fx.examples.length) {
-    blocks.push({
-      object: "block",
-      type: "heading_2",
-      heading_2: {
-        rich_text: [{ type: "text", text: { content: "Examples" } }],
-      },
-    });
+  return blocks;
+}
 
-    fx.examples.forEach((ex, idx) => {
-      blocks.push({
-        object: "block",
-        type: "heading_3",
-        heading_3: {
-          rich_text: [
-            { type: "text", text: { content: `Example ${idx + 1} — Input` } },
-          ],
-        },
-      });
-      blocks.push({
-        object: "block",
-        type: "code",
-        code: {
-          rich_text: [{ type: "text", text: { content: ex.input || "" } }],
-          language: notionLang,
-        },
-      });
+function createClient() {
+  const token = process.env.NOTION_TOKEN;
+  const parent = process.env.NOTION_PARENT_PAGE_ID;
+  const databaseId = process.env.NOTION_DATABASE_ID;
 
-      blocks.push({
-        object: "block",
-        type: "heading_3",
-        heading_3: {
-          rich_text: [
-            { type: "text", text: { content: `Example ${idx + 1} — Output` } },
-          ],
-        },
-      });
-      blocks.push({
-        object: "block",
-        type: "code",
-        code: {
-          rich_text: [{ type: "text", text: { content: ex.output || "" } }],
-          language: "plain text",
-        },
+  if (!token || !(parent || databaseId)) {
+    throw new Error(
+      "Set NOTION_TOKEN and NOTION_DATABASE_ID or NOTION_PARENT_PAGE_ID environment variables."
+    );
+  }
+
+  return { notion: new Client({ auth: token }), parent, databaseId };
+}
+
+/**
+ * Column schema for the study library database.
+ * Options for selects are added by Notion as new values appear.
+ */
+const DATABASE_PROPERTIES = {
+  Name: { title: {} },
+  Language: { select: {} },
+  "Algorithm Type": { multi_select: {} },
+  "Time Complexity": { rich_text: {} },
+  "Space Complexity": { rich_text: {} },
+  Difficulty: {
+    select: {
+      options: [
+        { name: "Easy", color: "green" },
+        { name: "Medium", color: "yellow" },
+        { name: "Hard", color: "red" },
+      ],
+    },
+  },
+  "Source File": { rich_text: {} },
+  "Generated At": { date: {} },
+  Judge: { select: {} },
+  Contest: { rich_text: {} },
+  "Problem Index": { rich_text: {} },
+  "Problem URL": { url: {} },
+};
+
+// Columns added after the first release of `notion init-database`
+const JUDGE_COLUMNS = ["Judge", "Contest", "Problem Index", "Problem URL"];
+const upgradedDatabases = new Set();
+
+/**
+ * Adds any missing judge columns to a database created before they
+ * existed, so pages with judge metadata can be written to it. Checked once
+ * per database per run.
+ */
+async function ensureJudgeColumns(notion, databaseId) {
+  if (upgradedDatabases.has(databaseId)) return;
+
+  const database = await notion.databases.retrieve({
+    database_id: databaseId,
+  });
+  for (const { id } of database.data_sources || []) {
+    const source = await notion.dataSources.retrieve({ data_source_id: id });
+    const missing = JUDGE_COLUMNS.filter((name) => !source.properties[name]);
+    if (missing.length) {
+      await notion.dataSources.update({
+        data_source_id: id,
+        properties: Object.fromEntries(
+          missing.map((name) => [name, DATABASE_PROPERTIES[name]])
+        ),
       });
+    }
+  }
 
-      if (ex.note) {
-        blocks.push({
-          object: "block",
-          type: "paragraph",
-          paragraph: {
-            rich_text: [{ type: "text", text: { content: ex.note } }],
-          },
-        });
-      }
-    });
+  upgradedDatabases.add(databaseId);
+}
+
+const HARD_TAGS = ["Dynamic Programming", "Graph", "Backtracking"];
+const MEDIUM_TAGS = [
+  "Binary Search",
+  "Greedy",
+  "Two Pointers",
+  "Sliding Window",
+  "Recursion",
+  "Divide and Conquer",
+  "Tree",
+];
+
+/**
+ * Rough difficulty from the techniques involved, unless the fixture
+ * already names one.
+ */
+function difficulty(fixture, tags) {
+  if (["Easy", "Medium", "Hard"].includes(fixture.difficulty)) {
+    return fixture.difficulty;
   }
+  if (tags.some((t) => HARD_TAGS.includes(t))) return "Hard";
+  if (tags.some((t) => MEDIUM_TAGS.includes(t))) return "Medium";
+  return "Easy";
+}
 
-  if (fx.explanation) {
-    blocks.push({
-      object: "block",
-      type: "heading_2",
-      heading_2: {
-        rich_text: [
-          { type: "text", text: { content: "Detailed Explanation" } },
-        ],
-      },
-    });
+function richTextValue(text) {
+  return { rich_text: richText(text) };
+}
 
-    blocks.push(...createTextBlock(fx.explanation));
+// Select option names may not contain commas.
+function selectValue(name) {
+  return { name: name.replace(/,/g, " ").slice(0, 100) };
+}
+
+/**
+ * Builds the typed database properties for a fixture.
+ */
+function databaseProperties(fixture) {
+  const meta = fixture.metadata || {};
+  const tags = algorithmTags(fixture);
+
+  const properties = {
+    ...titleProperty(fixture),
+    Language: { select: selectValue(mapToNotionLanguage(fixture.language)) },
+    "Algorithm Type": { multi_select: tags.map(selectValue) },
+    "Time Complexity": richTextValue(
+      complexityPart(fixture.complexity, "time")
+    ),
+    "Space Complexity": richTextValue(
+      complexityPart(fixture.complexity, "space")
+    ),
+    Difficulty: { select: { name: difficulty(fixture, tags) } },
+    "Source File": richTextValue(meta.sourceFile),
+  };
+
+  if (meta.generatedAt) {
+    properties["Generated At"] = { date: { start: meta.generatedAt } };
   }
 
-  if (fx.code) {
-    blocks.push({
-      object: "block",
-      type: "heading_2",
-      heading_2: {
-        rich_text: [{ type: "text", text: { content: "Solution Code" } }],
-      },
-    });
+  if (meta.judge) {
+    properties.Judge = { select: selectValue(meta.judge.judge) };
+    properties.Contest = richTextValue(meta.judge.contest || "");
+    properties["Problem Index"] = richTextValue(meta.judge.index || "");
+    properties["Problem URL"] = { url: meta.judge.url || null };
+  }
 
-    const maxCodeLength = 2000;
-    if (fx.code.length > maxCodeLength) {
-      const lines = fx.code.split("\n");
-      let currentChunk = "";
-
-      lines.forEach((line) => {
-        if ((currentChunk + line + "\n").length > maxCodeLength) {
-          blocks.push({
-            object: "block",
-            type: "code",
-            code: {
-              rich_text: [{ type: "text", text: { content: currentChunk } }],
-              language: notionLang,
-            },
-          });
-          currentChunk = `${line}\n`;
-        } else {
-          currentChunk += `${line}\n`;
-        }
-      });
+  return properties;
+}
+
+/**
+ * Creates the study library database under NOTION_PARENT_PAGE_ID with the
+ * columns `postFixtureToNotion` fills in.
+ */
+export async function createNotesDatabase(title = "Code Notes") {
+  const { notion, parent } = createClient();
+  if (!parent) {
+    throw new Error(
+      "Set NOTION_PARENT_PAGE_ID to the page that will hold the database."
+    );
+  }
+
+  return notion.databases.create({
+    parent: { type: "page_id", page_id: parent },
+    title: [{ type: "text", text: { content: title } }],
+    initial_data_source: { properties: DATABASE_PROPERTIES },
+  });
+}
+
+function titleProperty(fixture) {
+  return {
+    title: {
+      title: [
+        {
+          type: "text",
+          text: { content: fixture.title || "Code Note" },
+        },
+      ],
+    },
+  };
+}
 
-      if (currentChunk.trim()) {
-        blocks.push({
-          object: "block",
-          type: "code",
-          code: {
-            rich_text: [{ type: "text", text: { content: currentChunk } }],
-            language: notionLang,
-          },
-        });
+/**
+ * Posts a fixture to Notion as a new page: a row of NOTION_DATABASE_ID when
+ * set, otherwise a child page of NOTION_PARENT_PAGE_ID. With `parentPageId`
+ * (project mode) it becomes a sub-page of that page instead.
+ */
+export async function postFixtureToNotion(fixture, { parentPageId } = {}) {
+  const { notion, parent, databaseId } = createClient();
+  const blocks = fixtureToBlocks(fixture);
+  const inDatabase = databaseId && !parentPageId;
+  if (inDatabase && fixture.metadata && fixture.metadata.judge) {
+    await ensureJudgeColumns(notion, databaseId);
+  }
+
+  const page = await notion.pages.create({
+    parent: inDatabase
+      ? { database_id: databaseId }
+      : { page_id: parentPageId || parent },
+    properties: inDatabase
+      ? databaseProperties(fixture)
+      : titleProperty(fixture),
+  });
+
+  await appendBlocks(notion, page.id, blocks);
+  return page;
+}
+
+/**
+ * Appends blocks to a page in batches that fit the per-request limit.
+ * Batches go out in order so the page keeps the block order. Nested
+ * children over the limit (a long toggle) are sent with their first batch
+ * and the rest is appended to the created block.
+ */
+export async function appendBlocks(notion, blockId, blocks) {
+  for (let i = 0; i < blocks.length; i += MAX_CHILDREN) {
+    const overflow = [];
+    const batch = blocks.slice(i, i + MAX_CHILDREN).map((block, idx) => {
+      const body = block[block.type];
+      if (!body || !body.children || body.children.length <= MAX_CHILDREN) {
+        return block;
       }
-    } else {
-      blocks.push({
-        object: "block",
-        type: "code",
-        code: {
-          rich_text: [{ type: "text", text: { content: fx.code } }],
-          language: notionLang,
+      overflow.push([idx, body.children.slice(MAX_CHILDREN)]);
+      return {
+        ...block,
+        [block.type]: {
+          ...body,
+          children: body.children.slice(0, MAX_CHILDREN),
         },
-      });
+      };
+    });
+
+    const res = await notion.blocks.children.append({
+      block_id: blockId,
+      children: batch,
+    });
+    for (const [idx, rest] of overflow) {
+      await appendBlocks(notion, res.results[idx].id, rest);
     }
   }
+}
 
-  return blocks;
+/**
+ * Replaces the title, properties and content of an existing page with a
+ * fixture. Sub-pages (a project's file notes) are kept.
+ */
+export async function updateFixtureInNotion(
+  pageId,
+  fixture,
+  { parentPageId } = {}
+) {
+  const { notion, databaseId } = createClient();
+  const inDatabase = databaseId && !parentPageId;
+  if (inDatabase && fixture.metadata && fixture.metadata.judge) {
+    await ensureJudgeColumns(notion, databaseId);
+  }
+
+  const page = await notion.pages.update({
+    page_id: pageId,
+    properties: inDatabase
+      ? databaseProperties(fixture)
+      : titleProperty(fixture),
+  });
+
+  // Collect first: deleting while paginating would shift the cursor
+  const existing = [];
+  let cursor;
+  do {
+    const res = await notion.blocks.children.list({
+      block_id: pageId,
+      start_cursor: cursor,
+      page_size: 100,
+    });
+    existing.push(
+      ...res.results.filter((b) => b.type !== "child_page").map((b) => b.id)
+    );
+    cursor = res.has_more ? res.next_cursor : undefined;
+  } while (cursor);
+
+  for (const blockId of existing) {
+    await notion.blocks.delete({ block_id: blockId });
+  }
+
+  await appendBlocks(notion, pageId, fixtureToBlocks(fixture));
+
+  return page;
+}
+
+export function pageUrl(pageId) {
+  return `https://notion.so/${pageId.replace(/-/g, "")}`;
 }
 
 /**
- * Posts a fixture to Notion as a new page.
+ * Hashes the parts of a fixture that end up on the page. Generation time and
+ * the stored Notion bookkeeping are left out so a rerun on unchanged code
+ * hashes the same.
  */
-export async function postFixtureToNotion(fixture) {
-  const token = process.env.NOTION_TOKEN;
-  const parent = process.env.NOTION_PARENT_PAGE_ID;
+export function fixtureContentHash(fixture) {
+  const {
+    generatedAt,
+    notionPageId,
+    notionContentHash,
+    ...metadata
+  } = fixture.metadata || {};
+  return hashContent(JSON.stringify({ ...fixture, metadata }));
+}
+
+/**
+ * Publishes a fixture according to `mode`:
+ *   create - always creates a new page
+ *   update - rewrites `pageId` in place; fails when there is none
+ *   upsert - updates `pageId` when known (or recreates it if the page was
+ *            deleted), otherwise creates a new page
+ * Updates are skipped when `contentHash` matches the fixture's content.
+ * New pages go under `parentPageId` when given.
+ * Returns `{ action, pageId, contentHash }`, where action is
+ * "created", "updated" or "skipped".
+ */
+export async function publishFixture(
+  fixture,
+  { mode = "upsert", pageId, contentHash, parentPageId } = {}
+) {
+  const hash = fixtureContentHash(fixture);
+
+  if (mode === "create" || (mode === "upsert" && !pageId)) {
+    const page = await postFixtureToNotion(fixture, { parentPageId });
+    return { action: "created", pageId: page.id, contentHash: hash };
+  }
 
-  if (!token || !parent) {
+  if (!pageId) {
     throw new Error(
-      "Set NOTION_TOKEN and NOTION_PARENT_PAGE_ID environment variables."
+      "No Notion page recorded for this note; use --notion-mode=upsert or create"
     );
   }
 
-  const notion = new Client({ auth: token });
-  const children = fixtureToBlocks(fixture);
-
-  return notion.pages.create({
-    parent: { page_id: parent },
-    properties: {
-      title: {
-        title: [
-          {
-            type: "text",
-            text: { content: fixture.title || "Code Note" },
-          },
-        ],
-      },
-    },
-    children,
-  });
+  if (contentHash === hash) {
+    return { action: "skipped", pageId, contentHash: hash };
+  }
+
+  try {
+    await updateFixtureInNotion(pageId, fixture, { parentPageId });
+    return { action: "updated", pageId, contentHash: hash };
+  } catch (err) {
+    if (mode !== "upsert" || err.code !== APIErrorCode.ObjectNotFound) {
+      throw err;
+    }
+    const page = await postFixtureToNotion(fixture, { parentPageId });
+    return { action: "created", pageId: page.id, contentHash: hash };
+  }
 }
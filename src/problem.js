@@ -0,0 +1,305 @@
+import path from "path";
+import { commentLines, splitSource } from "./lexer.js";
+
+/**
+ * Recognizes online-judge problems (Codeforces, LeetCode, AtCoder, CSES)
+ * from problem URLs and IDs in the header comment and from the usual file
+ * naming conventions. Everything is read from the file itself; nothing is
+ * fetched.
+ */
+
+const JUDGE_URLS = [
+  {
+    judge: "Codeforces",
+    pattern:
+      /codeforces\.com\/(?:contest|problemset\/problem|gym)\/(\d+)\/(?:problem\/)?([A-Z]\d?)\b/i,
+    resolve: (m) => ({ contest: m[1], index: m[2].toUpperCase() }),
+  },
+  {
+    judge: "LeetCode",
+    pattern: /leetcode\.(?:com|cn)\/problems\/([a-z0-9-]+)/i,
+    resolve: (m) => ({ slug: m[1].toLowerCase(), title: slugTitle(m[1]) }),
+  },
+  {
+    judge: "AtCoder",
+    pattern: /atcoder\.jp\/contests\/([\w-]+)\/tasks\/([\w-]+)_([a-z]\d?)\b/i,
+    resolve: (m) => ({
+      contest: m[1].toLowerCase(),
+      task: `${m[2].toLowerCase()}_${m[3].toLowerCase()}`,
+      index: m[3].toUpperCase(),
+    }),
+  },
+  {
+    judge: "CSES",
+    pattern: /cses\.fi\/problemset\/task\/(\d+)/i,
+    resolve: (m) => ({ index: m[1] }),
+  },
+];
+
+// "Codeforces 1777A", "LeetCode #1", "abc300_a", "CSES 1068"
+const JUDGE_IDS = [
+  {
+    judge: "Codeforces",
+    pattern: /\b(?:codeforces|cf)\s*#?\s*(\d{1,4})\s*([A-Z]\d?)\b/i,
+    resolve: (m) => ({ contest: m[1], index: m[2].toUpperCase() }),
+  },
+  {
+    judge: "LeetCode",
+    pattern: /\b(?:leetcode|lc)\s*#?\s*(\d{1,4})\b/i,
+    resolve: (m) => ({ index: String(Number(m[1])) }),
+  },
+  {
+    judge: "AtCoder",
+    pattern: /\b(abc|arc|agc|ahc)\s*(\d{3})\s*[_ ]?\s*([a-h])\b/i,
+    resolve: (m) => atcoderTask(m[1], m[2], m[3]),
+  },
+  {
+    judge: "CSES",
+    pattern: /\bcses\s*#?\s*(\d{4})\b/i,
+    resolve: (m) => ({ index: m[1] }),
+  },
+];
+
+const FILE_NAMES = [
+  // abc300_a
+  {
+    judge: "AtCoder",
+    pattern: /^(abc|arc|agc|ahc)(\d{3})[_-]([a-h])(?:[_-](.+))?$/i,
+    resolve: (m) => ({ ...atcoderTask(m[1], m[2], m[3]), title: words(m[4]) }),
+  },
+  // cses_1068, CSES-1068-Weird_Algorithm
+  {
+    judge: "CSES",
+    pattern: /^cses[_-]?(\d{4})(?:[_-](.+))?$/i,
+    resolve: (m) => ({ index: m[1], title: words(m[2]) }),
+  },
+  // lc1_two_sum, leetcode-0001-two-sum
+  {
+    judge: "LeetCode",
+    pattern: /^(?:lc|leetcode)[_-]?(\d{1,4})(?:[_-](.+))?$/i,
+    resolve: (m) => leetcodeFile(m[1], m[2]),
+  },
+  // 0001-two-sum, 1_two_sum (lowercase slug words)
+  {
+    judge: "LeetCode",
+    pattern: /^(\d{1,4})[_-]([a-z0-9]+(?:[_-][a-z0-9]+)+)$/,
+    resolve: (m) => leetcodeFile(m[1], m[2]),
+  },
+  // 1777A, CF1777A_Everybody_Likes_Good_Arrays
+  {
+    judge: "Codeforces",
+    pattern: /^(?:cf[_-]?)?(\d{1,4})([A-Z]\d?)(?:[_-](.+))?$/i,
+    resolve: (m) => ({
+      contest: m[1],
+      index: m[2].toUpperCase(),
+      title: words(m[3]),
+    }),
+  },
+  // 1777/A_Everybody_Likes_Good_Arrays; without a contest ID in the header
+  // or the path, names like A_Star or B_Tree are not taken as problems
+  {
+    judge: "Codeforces",
+    pattern: /^([A-H]\d?)_([A-Z0-9].*)$/,
+    needsContest: true,
+    resolve: (m) => ({ index: m[1], title: words(m[2]) }),
+  },
+];
+
+// Directory named after a Codeforces contest: 1777, cf1777, contest-1777
+const CONTEST_DIR = /^(?:cf|codeforces|contest)?[_-]?(\d{1,4})$/i;
+
+function contestFromPath(filePath) {
+  const dirs = path.dirname(filePath).split(/[\\/]/).reverse();
+  const dir = dirs.find((name) => CONTEST_DIR.test(name));
+  return dir ? dir.match(CONTEST_DIR)[1] : null;
+}
+
+function words(text) {
+  if (!text) return null;
+  const cleaned = text.replace(/[_-]+/g, " ").replace(/\s+/g, " ").trim();
+  return cleaned || null;
+}
+
+function slugTitle(slug) {
+  return words(slug).replace(/\b[a-z]/g, (c) => c.toUpperCase());
+}
+
+function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .trim()
+    .replace(/[\s-]+/g, "-");
+}
+
+function atcoderTask(series, number, index) {
+  const contest = `${series}${number}`.toLowerCase();
+  return {
+    contest,
+    task: `${contest}_${index.toLowerCase()}`,
+    index: index.toUpperCase(),
+  };
+}
+
+function leetcodeFile(number, rest) {
+  const title = rest ? slugTitle(rest.toLowerCase()) : null;
+  return {
+    index: String(Number(number)),
+    slug: title ? slugify(title) : null,
+    title,
+  };
+}
+
+function canonicalUrl(problem) {
+  switch (problem.judge) {
+    case "Codeforces":
+      return problem.contest && problem.index
+        ? `https://codeforces.com/contest/${problem.contest}/problem/${problem.index}`
+        : null;
+    case "LeetCode":
+      // Slugs are the title, lowercased, without punctuation
+      return problem.slug || problem.title
+        ? `https://leetcode.com/problems/${
+            problem.slug || slugify(problem.title)
+          }/`
+        : null;
+    case "AtCoder":
+      return problem.task
+        ? `https://atcoder.jp/contests/${problem.contest}/tasks/${problem.task}`
+        : null;
+    case "CSES":
+      return problem.index
+        ? `https://cses.fi/problemset/task/${problem.index}`
+        : null;
+    default:
+      return null;
+  }
+}
+
+// What may come before the ID on a line that names the problem
+const TITLE_LEAD = /^[\s:.#\-–—|([]*(?:(?:problem|task)\s*[:\-–—]?\s*)?$/i;
+
+// Code and prose around an ID that only mentions a problem in passing
+const NOT_A_TITLE = /[{}"`=;<>]|\be\.g\./i;
+
+// Whether the URL or ID opens the line (after an optional "Problem:")
+function startsLine(line, match) {
+  const lead = line.slice(0, match.index).replace(/https?:\/\/\S*/g, "");
+  return TITLE_LEAD.test(lead);
+}
+
+/**
+ * Title from the comment line that named the problem, e.g.
+ * "Codeforces 1777A - Everybody Likes Good Arrays!" or "1. Two Sum". Only
+ * a line that starts with the URL or ID (after an optional "Problem:")
+ * names the problem; elsewhere the ID is just mentioned.
+ */
+function titleFromLine(line, match) {
+  if (!startsLine(line, match)) return null;
+
+  const rest = line
+    .slice(match.index + match[0].length)
+    .replace(/https?:\/\/\S*/g, "")
+    .replace(/^[\s:.#\-–—|()[\]]+|[\s:\-–—|[\]]+$/g, "")
+    .replace(/^(?:problem|task)\s*[:\-–—]?\s*/i, "")
+    .replace(/^[A-Z]\d?\.\s+/, "")
+    .replace(/^\d+\.\s+/, "");
+  return rest && /[a-z]/i.test(rest) && !NOT_A_TITLE.test(rest) ? rest : null;
+}
+
+/**
+ * Lines of the header comment: the comments that start before the first
+ * line of code (or on it). Comments further down only mention problems in
+ * passing, e.g. as examples in documentation.
+ */
+function headerCommentLines(code, ext) {
+  const { code: masked, comments } = splitSource(code || "", ext);
+  const firstCodeLine =
+    masked.split("\n").findIndex((line) => line.trim()) + 1 || Infinity;
+
+  return comments
+    .filter((c) => c.line <= firstCodeLine)
+    .flatMap((c) => commentLines(c.text));
+}
+
+/**
+ * Merges `fields` into `problem` without overwriting what an earlier, more
+ * reliable source found. A source naming a different judge is ignored.
+ */
+function merge(problem, judge, fields) {
+  if (problem.judge && problem.judge !== judge) return;
+  problem.judge = judge;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value && !problem[key]) problem[key] = value;
+  }
+}
+
+/**
+ * Resolves judge metadata for a source file: `{ judge, title, contest,
+ * index, url, source }` (fields null when unknown), or null when neither
+ * the header comment nor the file name follow a known convention. Problem
+ * URLs in the header win over IDs there, which win over the file name.
+ * IDs only count on a line that names the problem, not in passing.
+ * `source` is "header" or "file name", whichever identified the judge.
+ */
+export function resolveProblem(filePath, code) {
+  const ext = path.extname(filePath).slice(1);
+  const lines = headerCommentLines(code, ext);
+  const problem = {};
+
+  for (const sources of [JUDGE_URLS, JUDGE_IDS]) {
+    for (const line of lines) {
+      for (const { judge, pattern, resolve } of sources) {
+        const match = line.match(pattern);
+        if (!match) continue;
+        // A URL counts anywhere in the header, an ID only at a line's start
+        if (sources === JUDGE_IDS && !startsLine(line, match)) continue;
+        const fields = resolve(match);
+        fields.title = titleFromLine(line, match) || fields.title;
+        merge(problem, judge, fields);
+      }
+    }
+  }
+
+  const source = problem.judge ? "header" : "file name";
+  const name = path.basename(filePath, path.extname(filePath));
+  const file = FILE_NAMES.find(({ pattern }) => pattern.test(name));
+  if (file) {
+    const fields = file.resolve(name.match(file.pattern));
+    if (file.needsContest) fields.contest = contestFromPath(filePath);
+    if (!file.needsContest || problem.contest || fields.contest) {
+      merge(problem, file.judge, fields);
+    }
+  }
+
+  if (!problem.judge) return null;
+
+  // Codeforces statements open with "A. Title"
+  if (!problem.title && problem.index) {
+    const header = new RegExp(`^${problem.index}\\.\\s+(.+)$`);
+    const line = lines.find((l) => header.test(l));
+    if (line) problem.title = line.match(header)[1].trim();
+  }
+
+  return {
+    judge: problem.judge,
+    title: problem.title || null,
+    contest: problem.contest || null,
+    index: problem.index || null,
+    url: canonicalUrl(problem),
+    source,
+  };
+}
+
+/**
+ * Short label such as "Codeforces 1777A", "LeetCode 1" or "AtCoder abc300 A".
+ */
+export function judgeLabel(problem) {
+  if (!problem || !problem.judge) return "";
+
+  const { judge, contest, index } = problem;
+  if (judge === "Codeforces") {
+    return `${judge} ${contest || ""}${index || ""}`.trim();
+  }
+  return [judge, contest, index].filter(Boolean).join(" ");
+}
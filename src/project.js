@@ -0,0 +1,388 @@
+import fs from "fs/promises";
+import path from "path";
+import { tokenize } from "./lexer.js";
+
+/**
+ * Project mode: finds how the files of a directory include or import each
+ * other and lays out the parent note that ties their notes together.
+ * Only imports that resolve to a file inside the project count; standard
+ * library and package imports are ignored.
+ */
+
+const JS_EXTENSIONS = [".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx"];
+
+/**
+ * Forward-slash path of `file` relative to the project root, as shown in
+ * notes.
+ */
+export function projectPath(root, file) {
+  return path.relative(root, file).split(path.sep).join("/");
+}
+
+// Imports are read from code and strings only
+function withoutComments(code, ext) {
+  return tokenize(code, ext)
+    .map((t) =>
+      t.type === "comment" || t.type === "doc"
+        ? t.text.replace(/[^\n]/g, " ")
+        : t.text
+    )
+    .join("");
+}
+
+function allMatches(text, pattern) {
+  return [...text.matchAll(pattern)];
+}
+
+/**
+ * Import specifiers of one file, each with the candidate paths (relative to
+ * the root) it could refer to, most likely first.
+ */
+const IMPORT_READERS = {
+  // #include "lib/dsu.h" (relative to the file, then any parent up to the
+  // root); #include <lib/dsu.h> only when the project has that file
+  c(code, dir) {
+    return allMatches(code, /^\s*#\s*include\s*(["<])([^">\n]+)[">]/gm).map(
+      (m) => {
+        const candidates = [];
+        if (m[1] === '"') {
+          for (let d = dir; ; d = path.posix.dirname(d)) {
+            candidates.push(path.posix.join(d, m[2]));
+            if (d === "." || d === "/" || d === "") break;
+          }
+        }
+        candidates.push(path.posix.normalize(m[2]));
+        return candidates;
+      }
+    );
+  },
+
+  // import a.b / from a.b import c / from . import c
+  python(code, dir) {
+    const modules = [];
+    for (const m of allMatches(
+      code,
+      /^\s*from\s+(\.*)([\w.]*)\s+import\s+\(?([\w\s,*]+)/gm
+    )) {
+      let base = ".";
+      if (m[1]) {
+        base = dir;
+        // Each dot past the first climbs one package
+        for (let up = 1; up < m[1].length; up++) {
+          base = path.posix.dirname(base);
+        }
+      }
+      const mod = m[2] ? path.posix.join(base, ...m[2].split(".")) : base;
+      const names = m[3]
+        .split(",")
+        .map((n) => n.trim().split(/\s+/)[0])
+        .filter((n) => n && n !== "*");
+      // `from pkg import mod` may name a submodule rather than a symbol
+      modules.push([mod], ...names.map((n) => [path.posix.join(mod, n)]));
+    }
+    for (const m of allMatches(
+      code,
+      /^\s*import\s+([\w.]+(?:\s*,\s*[\w.]+)*)/gm
+    )) {
+      for (const name of m[1].split(",")) {
+        modules.push([path.posix.join(...name.trim().split("."))]);
+      }
+    }
+    return modules.map((mods) =>
+      mods.flatMap((mod) => [
+        `${path.posix.normalize(mod)}.py`,
+        path.posix.join(mod, "__init__.py"),
+      ])
+    );
+  },
+
+  // import x from "./y", export * from "./y", require("./y"), import("./y")
+  javascript(code, dir) {
+    return allMatches(
+      code,
+      /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)["'`](\.{1,2}\/[^"'`]+)["'`]/g
+    ).map((m) => {
+      const base = path.posix.join(dir, m[1]);
+      return [
+        base,
+        ...JS_EXTENSIONS.map((ext) => `${base}${ext}`),
+        ...JS_EXTENSIONS.map((ext) => path.posix.join(base, `index${ext}`)),
+        // TypeScript sources import their compiled .js name
+        base.replace(/\.js$/, ".ts"),
+      ];
+    });
+  },
+
+  // mod name; use crate::a::b
+  rust(code, dir, file) {
+    const stem = path.posix.basename(file, ".rs");
+    const modDir = ["main", "lib", "mod"].includes(stem)
+      ? dir
+      : path.posix.join(dir, stem);
+    const specs = allMatches(code, /^\s*(?:pub\s+)?mod\s+(\w+)\s*;/gm).map(
+      (m) => [
+        path.posix.join(modDir, `${m[1]}.rs`),
+        path.posix.join(modDir, m[1], "mod.rs"),
+      ]
+    );
+    for (const m of allMatches(code, /\buse\s+crate::(\w+)/g)) {
+      specs.push([`src/${m[1]}.rs`, `src/${m[1]}/mod.rs`]);
+    }
+    return specs;
+  },
+
+  // import com.example.util.Graph;
+  java(code) {
+    return allMatches(code, /^\s*import\s+(?:static\s+)?([\w.]+)\s*;/gm).map(
+      (m) => {
+        const parts = m[1].split(".");
+        return [`${parts.join("/")}.java`, `*/${parts.join("/")}.java`];
+      }
+    );
+  },
+
+  // require_relative "lib/graph"
+  ruby(code, dir) {
+    return allMatches(code, /^\s*require_relative\s+["']([^"']+)["']/gm).map(
+      (m) => {
+        const base = path.posix.join(dir, m[1]);
+        return [base.endsWith(".rb") ? base : `${base}.rb`];
+      }
+    );
+  },
+};
+
+const READER_FOR = {
+  c: "c",
+  h: "c",
+  cc: "c",
+  cpp: "c",
+  cxx: "c",
+  hpp: "c",
+  py: "python",
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  jsx: "javascript",
+  ts: "javascript",
+  tsx: "javascript",
+  rs: "rust",
+  java: "java",
+  rb: "ruby",
+};
+
+// import "example.com/app/graph" inside the module named in go.mod
+async function goImports(root, files, sources) {
+  let modulePath = null;
+  try {
+    const goMod = await fs.readFile(path.join(root, "go.mod"), "utf8");
+    const match = goMod.match(/^module\s+(\S+)/m);
+    modulePath = match && match[1];
+  } catch {
+    return new Map();
+  }
+  if (!modulePath) return new Map();
+
+  const goFiles = files.filter((f) => f.endsWith(".go"));
+  const byDir = new Map();
+  for (const file of goFiles) {
+    const dir = path.posix.dirname(file);
+    byDir.set(dir, [...(byDir.get(dir) || []), file]);
+  }
+
+  // A package is every .go file in its directory
+  const imports = new Map();
+  for (const file of goFiles) {
+    const code = withoutComments(sources.get(file), "go");
+    const specs = allMatches(code, /"([^"\n]+)"/g)
+      .map((m) => m[1])
+      .filter((p) => p === modulePath || p.startsWith(`${modulePath}/`));
+    const deps = specs.flatMap(
+      (p) => byDir.get(p.slice(modulePath.length + 1) || ".") || []
+    );
+    imports.set(file, deps);
+  }
+  return imports;
+}
+
+/**
+ * Builds the include/import graph of a project: `{ [file]: [files it
+ * imports] }` with every path relative to `root`. `sources` maps each
+ * absolute or cwd-relative file path to its code.
+ */
+export async function buildDependencyGraph(root, sources) {
+  const byRelative = new Map();
+  for (const [file, code] of sources) {
+    byRelative.set(projectPath(root, file), code);
+  }
+  const files = [...byRelative.keys()];
+  const known = new Set(files);
+
+  const resolve = (candidates) => {
+    for (const candidate of candidates) {
+      if (candidate.startsWith("*/")) {
+        const suffix = candidate.slice(1);
+        const found = files.find((f) => `/${f}`.endsWith(suffix));
+        if (found) return found;
+      } else {
+        const normalized = path.posix.normalize(candidate);
+        if (known.has(normalized)) return normalized;
+      }
+    }
+    return null;
+  };
+
+  const graph = {};
+  const go = await goImports(root, files, byRelative);
+
+  for (const file of files) {
+    const ext = path.posix.extname(file).slice(1).toLowerCase();
+    const reader = IMPORT_READERS[READER_FOR[ext]];
+    let deps = go.get(file) || [];
+
+    if (reader) {
+      const code = withoutComments(byRelative.get(file), ext);
+      const specs = reader(code, path.posix.dirname(file), file);
+      deps = specs.map(resolve).filter(Boolean);
+    }
+
+    graph[file] = [...new Set(deps)].filter((dep) => dep !== file).sort();
+  }
+
+  return graph;
+}
+
+/**
+ * Inverse of the graph: `{ [file]: [files that import it] }`.
+ */
+export function importedBy(graph) {
+  const users = Object.fromEntries(Object.keys(graph).map((f) => [f, []]));
+  for (const [file, deps] of Object.entries(graph)) {
+    for (const dep of deps) users[dep].push(file);
+  }
+  return users;
+}
+
+/**
+ * Draws the graph as an indented tree from the entry points (files nothing
+ * imports). Files already drawn, including those in import cycles, are
+ * marked instead of expanded again.
+ */
+export function dependencyTree(graph) {
+  const users = importedBy(graph);
+  const files = Object.keys(graph).sort();
+  const roots = files.filter((f) => users[f].length === 0);
+  const drawn = new Set();
+  const lines = [];
+
+  const draw = (file, prefix, connector, childPrefix) => {
+    const seen = drawn.has(file);
+    lines.push(`${prefix}${connector}${file}${seen ? " (see above)" : ""}`);
+    if (seen) return;
+    drawn.add(file);
+
+    graph[file].forEach((dep, idx) => {
+      const last = idx === graph[file].length - 1;
+      draw(
+        dep,
+        prefix + childPrefix,
+        last ? "└── " : "├── ",
+        last ? "    " : "│   "
+      );
+    });
+  };
+
+  for (const file of roots) draw(file, "", "", "");
+  // Files only reachable through a cycle
+  for (const file of files) {
+    if (!drawn.has(file)) draw(file, "", "", "");
+  }
+
+  return lines.join("\n");
+}
+
+// Problem values that mean none was found (LLM and heuristic defaults)
+const NO_PROBLEM = new Set(["not inferred", "Code Analysis"]);
+
+// First sentence-sized line of a child note, for the module list
+function moduleSummary(fx) {
+  const text =
+    fx.problem && !NO_PROBLEM.has(fx.problem) ? fx.problem : fx.approach;
+  const line = (text || "").split("\n").find((l) => l.trim()) || "";
+  return line.length > 160 ? `${line.slice(0, 157)}...` : line.trim();
+}
+
+/**
+ * One list item per module: "`lib/dsu.h` — summary (uses: ..., used by:
+ * ...)".
+ */
+export function moduleList(modules, graph) {
+  const users = importedBy(graph);
+  return modules.map(({ file, fx }) => {
+    const links = [];
+    if (graph[file].length) links.push(`uses ${graph[file].join(", ")}`);
+    if (users[file].length) links.push(`used by ${users[file].join(", ")}`);
+
+    let item = `\`${file}\``;
+    const summary = moduleSummary(fx);
+    if (summary) item += ` — ${summary}`;
+    if (links.length) item += ` (${links.join("; ")})`;
+    return item;
+  });
+}
+
+/**
+ * Architecture overview from the graph alone: entry points, shared modules
+ * and files that stand on their own.
+ */
+export function heuristicArchitecture(name, modules, graph) {
+  const users = importedBy(graph);
+  const files = Object.keys(graph);
+  const languages = [...new Set(modules.map(({ fx }) => fx.language))];
+  const edges = files.reduce((sum, f) => sum + graph[f].length, 0);
+
+  const paragraphs = [
+    `${name} has ${files.length} source file${
+      files.length === 1 ? "" : "s"
+    } (${languages.join(", ")}) with ${edges} internal include/import link${
+      edges === 1 ? "" : "s"
+    }.`,
+  ];
+
+  const entries = files.filter(
+    (f) => users[f].length === 0 && graph[f].length > 0
+  );
+  const shared = files
+    .filter((f) => users[f].length > 1)
+    .sort((a, b) => users[b].length - users[a].length);
+  const standalone = files.filter(
+    (f) => users[f].length === 0 && graph[f].length === 0
+  );
+
+  const structure = [];
+  if (entries.length) {
+    structure.push(`Entry points: ${entries.join(", ")}.`);
+  }
+  if (shared.length) {
+    const counts = shared.map((f) => `${f} (${users[f].length} users)`);
+    structure.push(`Shared modules: ${counts.join(", ")}.`);
+  }
+  if (standalone.length) {
+    structure.push(`Standalone files: ${standalone.join(", ")}.`);
+  }
+  if (structure.length) paragraphs.push(structure.join(" "));
+
+  return paragraphs.join("\n\n");
+}
+
+/**
+ * Most common language among the modules, so the parent note sorts with
+ * its children.
+ */
+export function projectLanguage(modules) {
+  const counts = new Map();
+  for (const { fx } of modules) {
+    counts.set(fx.language, (counts.get(fx.language) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || "unknown";
+}
@@ -0,0 +1,107 @@
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+
+/**
+ * Prompt templates. Each built-in stage's prompt lives in
+ * `src/prompts/<stage>.md`; a project config can point any stage at its own
+ * file instead. A template is the user message with `{{name}}` placeholders,
+ * where dotted names reach into objects (`{{analysis.algorithmType}}`),
+ * optionally preceded by a front-matter block with the system message:
+ *
+ *   ---
+ *   system: You are a QA tester. Be specific and concise.
+ *   ---
+ *   List edge cases for {{analysis.problem}} ...
+ */
+
+const BUILT_IN_DIR = fileURLToPath(new URL("./prompts/", import.meta.url));
+
+// Parsed templates by file, read once per run
+const templates = new Map();
+
+export function builtInPromptFile(stage) {
+  return `${BUILT_IN_DIR}${stage}.md`;
+}
+
+/**
+ * Splits a template file into `{ system, user }`. Throws on a front-matter
+ * key other than `system`.
+ */
+export function parseTemplate(text, file = "template") {
+  let system = "";
+  let user = text.replace(/\r\n/g, "\n").replace(/\n$/, "");
+
+  const match = user.match(/^---\n([\s\S]*?)\n---\n/);
+  if (match) {
+    for (const line of match[1].split("\n")) {
+      if (!line.trim()) continue;
+      const [, key, value] = line.match(/^(\w+):\s*(.*)$/) || [];
+      if (key !== "system") {
+        throw new Error(`${file}: unknown front-matter line '${line}'`);
+      }
+      system = value.trim();
+    }
+    user = user.slice(match[0].length);
+  }
+
+  return { system, user };
+}
+
+export async function loadTemplate(file) {
+  if (!templates.has(file)) {
+    const text = await fs.readFile(file, "utf8").catch((err) => {
+      throw new Error(`Cannot read prompt template ${file}: ${err.message}`);
+    });
+    templates.set(file, parseTemplate(text, file));
+  }
+  return templates.get(file);
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) {
+    return value
+      .map(
+        (item) => `- ${typeof item === "string" ? item : JSON.stringify(item)}`
+      )
+      .join("\n");
+  }
+  if (typeof value === "object") return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Fills the placeholders of `text` from `context`. Arrays become "- item"
+ * lines and objects JSON; a missing property renders empty. Throws on a
+ * name the context does not define at all, which is usually a typo.
+ */
+export function renderTemplate(text, context, file = "template") {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    const [root, ...rest] = name.split(".");
+    if (!Object.hasOwn(context, root)) {
+      const known = Object.keys(context).join(", ");
+      throw new Error(`${file}: unknown variable {{${name}}} (have: ${known})`);
+    }
+    const value = rest.reduce(
+      (obj, key) => (obj == null ? obj : obj[key]),
+      context[root]
+    );
+    return formatValue(value);
+  });
+}
+
+/**
+ * Chat messages for a stage from the template in `file`.
+ */
+export async function promptMessages(file, context) {
+  const { system, user } = await loadTemplate(file);
+  const messages = [];
+  if (system) {
+    messages.push({
+      role: "system",
+      content: renderTemplate(system, context, file),
+    });
+  }
+  messages.push({ role: "user", content: renderTemplate(user, context, file) });
+  return messages;
+}
@@ -0,0 +1,166 @@
+import Groq from "groq-sdk";
+import { InferenceClient } from "@huggingface/inference";
+import fetch from "node-fetch";
+
+export const DEFAULT_MODELS = {
+  groq: "llama-3.3-70b-versatile",
+  openai: "gpt-4o-mini",
+  huggingface: "meta-llama/Llama-3.3-70B-Instruct",
+};
+
+// Alternative names accepted by --provider=
+const PROVIDER_ALIASES = {
+  "openai-compatible": "openai",
+  ollama: "openai",
+  llamacpp: "openai",
+  local: "openai",
+  hf: "huggingface",
+};
+
+export const PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+export function resolveProviderName(name) {
+  const s = (name || "groq").toLowerCase().trim();
+  const resolved = PROVIDER_ALIASES[s] || s;
+
+  if (!PROVIDERS.includes(resolved)) {
+    throw new Error(
+      `Unknown LLM provider '${name}'. Expected one of: ${PROVIDERS.join(", ")}`
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Returns a human-readable reason why the given provider cannot run with the
+ * current environment, or null when its credentials are in place.
+ */
+export function missingCredentials(name) {
+  const provider = resolveProviderName(name);
+
+  if (provider === "groq" && !process.env.GROQ_API_KEY) {
+    return "GROQ_API_KEY not found in environment (https://console.groq.com)";
+  }
+
+  if (provider === "huggingface" && !process.env.HF_TOKEN) {
+    return "HF_TOKEN not found in environment (https://huggingface.co/settings/tokens)";
+  }
+
+  // Local OpenAI-compatible servers usually need no key, only a base URL.
+  if (
+    provider === "openai" &&
+    !process.env.OPENAI_API_KEY &&
+    !process.env.OPENAI_BASE_URL
+  ) {
+    return "Set OPENAI_API_KEY, or OPENAI_BASE_URL for a local OpenAI-compatible server";
+  }
+
+  return null;
+}
+
+function createGroqProvider(model) {
+  // Retries are handled by the stage runner so they share one backoff policy.
+  const client = new Groq({ apiKey: process.env.GROQ_API_KEY, maxRetries: 0 });
+
+  return {
+    name: "groq",
+    model,
+    async chat({ messages, temperature, maxTokens, json }) {
+      const completion = await client.chat.completions.create({
+        messages,
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      });
+
+      return completion.choices[0].message.content;
+    },
+  };
+}
+
+function createOpenAICompatibleProvider(model) {
+  const baseUrl = (
+    process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+  ).replace(/\/+$/, "");
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  return {
+    name: "openai",
+    model,
+    async chat({ messages, temperature, maxTokens, json }) {
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        }),
+      });
+
+      if (!res.ok) {
+        const body = await res.text();
+        const err = new Error(
+          `OpenAI-compatible request failed (${res.status}): ${body.slice(
+            0,
+            300
+          )}`
+        );
+        err.status = res.status;
+        err.headers = Object.fromEntries(res.headers.entries());
+        throw err;
+      }
+
+      const completion = await res.json();
+      return completion.choices[0].message.content;
+    },
+  };
+}
+
+function createHuggingFaceProvider(model) {
+  const client = new InferenceClient(process.env.HF_TOKEN);
+
+  return {
+    name: "huggingface",
+    model,
+    // JSON output is requested through the prompt only; response_format
+    // support differs between the providers HF routes to.
+    async chat({ messages, temperature, maxTokens }) {
+      const completion = await client.chatCompletion({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      });
+
+      return completion.choices[0].message.content;
+    },
+  };
+}
+
+/**
+ * Creates a chat-completion provider.
+ * Every provider exposes the same `chat({ messages, temperature, maxTokens, json })`
+ * call returning the assistant message text.
+ */
+export function createProvider({ provider, model } = {}) {
+  const name = resolveProviderName(provider || process.env.LLM_PROVIDER);
+  const resolvedModel = model || process.env.LLM_MODEL || DEFAULT_MODELS[name];
+
+  switch (name) {
+    case "openai":
+      return createOpenAICompatibleProvider(resolvedModel);
+    case "huggingface":
+      return createHuggingFaceProvider(resolvedModel);
+    case "groq":
+    default:
+      return createGroqProvider(resolvedModel);
+  }
+}
@@ -0,0 +1,303 @@
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+
+/**
+ * Detector rules for heuristic mode. Each rule lists weighted `signals`,
+ * regular expressions tested against every line of the code. A rule's
+ * confidence is the sum of the weights of the signals that matched at least
+ * once, clamped to [0, 1]; negative weights count against a rule (e.g.
+ * `merge(` makes "Two Pointers" less likely). The lines that matched are
+ * kept as evidence.
+ */
+const BUILTIN_RULES = [
+  {
+    id: "quick-sort",
+    name: "Quick Sort",
+    description: "Divide and conquer sorting algorithm using partitioning",
+    complexity: "Time: O(n log n) average, O(n²) worst case; Space: O(log n)",
+    edgeCases: [
+      "Empty array",
+      "Single element",
+      "Already sorted array",
+      "All equal elements",
+    ],
+    signals: [
+      { pattern: /quick\s*sort/i, weight: 0.6 },
+      { pattern: /partition/i, weight: 0.5 },
+      { pattern: /pivot/i, weight: 0.4 },
+      { pattern: /swap/i, weight: 0.1 },
+    ],
+  },
+  {
+    id: "merge-sort",
+    name: "Merge Sort",
+    description: "Divide and conquer sorting with merging",
+    complexity: "Time: O(n log n); Space: O(n)",
+    edgeCases: [
+      "Empty array",
+      "Single element",
+      "Odd and even lengths",
+      "Duplicate values",
+    ],
+    signals: [
+      { pattern: /merge\s*sort/i, weight: 0.6 },
+      { pattern: /\bmerge\s*\(/i, weight: 0.5 },
+      { pattern: /mid\s*=.*\/\s*2|mid\s*=.*>>\s*1/i, weight: 0.1 },
+    ],
+  },
+  {
+    id: "selection-sort",
+    name: "Selection Sort",
+    description: "Find minimum element and swap to correct position",
+    complexity: "Time: O(n²); Space: O(1)",
+    edgeCases: [
+      "Empty array",
+      "Single element",
+      "Already sorted array",
+      "Reverse sorted array",
+    ],
+    signals: [
+      { pattern: /selection\s*sort/i, weight: 0.6 },
+      { pattern: /min_?(index|idx|pos)/i, weight: 0.5 },
+      { pattern: /swap|\btemp\b/i, weight: 0.2 },
+    ],
+  },
+  {
+    id: "bubble-sort",
+    name: "Bubble Sort",
+    description: "Repeatedly swap adjacent out-of-order elements",
+    complexity: "Time: O(n²); Space: O(1)",
+    edgeCases: [
+      "Empty array",
+      "Single element",
+      "Already sorted array",
+      "Reverse sorted array",
+    ],
+    signals: [
+      { pattern: /bubble/i, weight: 0.6 },
+      { pattern: /\[\s*j\s*\]\s*>\s*\w+\s*\[\s*j\s*\+\s*1\s*\]/i, weight: 0.5 },
+      { pattern: /swap|\btemp\b/i, weight: 0.1 },
+    ],
+  },
+  {
+    id: "binary-search",
+    name: "Binary Search",
+    description: "Divide and conquer search on sorted data",
+    complexity: "Time: O(log n); Space: O(1)",
+    edgeCases: [
+      "Element not found",
+      "Element at boundaries",
+      "Single element",
+      "Empty array",
+    ],
+    signals: [
+      { pattern: /binary\s*search/i, weight: 0.6 },
+      { pattern: /mid\s*=.*\/\s*2|mid\s*=.*>>\s*1/i, weight: 0.4 },
+      { pattern: /\b(lo|low|left|l)\s*<=\s*(hi|high|right|r)\b/i, weight: 0.2 },
+      { pattern: /lower_bound|upper_bound|bisect/i, weight: 0.5 },
+      { pattern: /\bmerge\s*\(/i, weight: -0.3 },
+    ],
+  },
+  {
+    id: "dynamic-programming",
+    name: "Dynamic Programming",
+    description: "Breaking problem into overlapping subproblems",
+    complexity: "Time: O(n*m) typically; Space: O(n*m) for memoization",
+    edgeCases: ["Base cases", "Zero values", "Maximum constraints"],
+    signals: [
+      { pattern: /dynamic\s*programming/i, weight: 0.6 },
+      { pattern: /\bdp\s*[[(=]/i, weight: 0.6 },
+      { pattern: /memo/i, weight: 0.5 },
+      { pattern: /tabulat/i, weight: 0.3 },
+    ],
+  },
+  {
+    id: "graph-traversal",
+    name: "Graph Traversal",
+    description: "Exploring vertices and edges",
+    complexity: "Time: O(V + E); Space: O(V)",
+    edgeCases: ["Disconnected graph", "Cycles", "Single node", "Self-loops"],
+    signals: [
+      { pattern: /\b(dfs|bfs)\b/i, weight: 0.5 },
+      { pattern: /\badj(acency)?\b|\badj\s*\[/i, weight: 0.4 },
+      { pattern: /graph/i, weight: 0.3 },
+      { pattern: /visited/i, weight: 0.3 },
+      { pattern: /\bqueue\b|\bdeque\b/i, weight: 0.1 },
+    ],
+  },
+  {
+    id: "two-pointers",
+    name: "Two Pointers",
+    description: "Using two indices to traverse data structure",
+    complexity: "Time: O(n); Space: O(1)",
+    edgeCases: ["Empty input", "Single element", "All same elements"],
+    signals: [
+      { pattern: /two\s*pointers?/i, weight: 0.6 },
+      {
+        pattern: /while\s*\(?\s*(left|l|i)\s*<\s*(right|r|j)\b/i,
+        weight: 0.5,
+      },
+      { pattern: /\b(left|l)\s*\+\+|\b(right|r)\s*--/i, weight: 0.2 },
+      { pattern: /\bmerge\s*\(/i, weight: -0.3 },
+      { pattern: /mid\s*=/i, weight: -0.3 },
+    ],
+  },
+  {
+    id: "sliding-window",
+    name: "Sliding Window",
+    description: "Maintaining a window over array/string",
+    complexity: "Time: O(n); Space: O(1) or O(k)",
+    edgeCases: [
+      "Window larger than array",
+      "Minimum window size",
+      "No valid window",
+    ],
+    signals: [
+      { pattern: /sliding\s*window|\bwindow\b/i, weight: 0.5 },
+      { pattern: /(window_?sum|cur(rent)?_?sum)\s*[-+]=/i, weight: 0.4 },
+      { pattern: /subarray|substr/i, weight: 0.2 },
+    ],
+  },
+];
+
+// Rules below this confidence are not reported at all
+export const MIN_CONFIDENCE = 0.3;
+
+// Evidence lines kept per rule
+const MAX_EVIDENCE = 5;
+
+const registry = new Map(BUILTIN_RULES.map((rule) => [rule.id, rule]));
+
+function toRegExp(pattern, flags, where) {
+  if (pattern instanceof RegExp) {
+    // A global or sticky regex would carry lastIndex between lines
+    return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ""));
+  }
+  if (typeof pattern !== "string" || !pattern) {
+    throw new Error(`${where}: pattern must be a RegExp or a string`);
+  }
+  try {
+    return new RegExp(pattern, flags ?? "i");
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+}
+
+/**
+ * Checks a rule definition and compiles string patterns (as used in JSON
+ * rule files, with optional `flags`, default "i") into regular expressions.
+ */
+function compileRule(rule, source) {
+  const where = `${source}: rule '${rule && rule.id}'`;
+
+  if (!rule || typeof rule.id !== "string" || !rule.id) {
+    throw new Error(`${source}: every rule needs a string 'id'`);
+  }
+  if (typeof rule.name !== "string" || !rule.name) {
+    throw new Error(`${where}: 'name' is required`);
+  }
+  if (!Array.isArray(rule.signals) || rule.signals.length === 0) {
+    throw new Error(`${where}: 'signals' must be a non-empty array`);
+  }
+
+  return {
+    id: rule.id,
+    name: rule.name,
+    description: rule.description || "",
+    complexity: rule.complexity || "Time: O(?), Space: O(?)",
+    edgeCases: Array.isArray(rule.edgeCases) ? rule.edgeCases : [],
+    signals: rule.signals.map((signal, idx) => {
+      const weight = Number(signal.weight);
+      if (!Number.isFinite(weight)) {
+        throw new Error(`${where}: signal ${idx} needs a numeric 'weight'`);
+      }
+      return {
+        pattern: toRegExp(
+          signal.pattern,
+          signal.flags,
+          `${where} signal ${idx}`
+        ),
+        weight,
+      };
+    }),
+  };
+}
+
+/**
+ * Adds rules to the registry. A rule with the id of an existing one
+ * replaces it, so built-in rules can be tuned as well as extended.
+ */
+export function registerRules(rules, source = "rules") {
+  const compiled = rules.map((rule) => compileRule(rule, source));
+  for (const rule of compiled) {
+    registry.set(rule.id, rule);
+  }
+}
+
+/**
+ * Loads custom rules from a `.json` file (an array of rules with string
+ * patterns) or a JS module whose default export is an array of rules.
+ */
+export async function loadRules(file) {
+  const resolved = path.resolve(file);
+  let rules;
+
+  if (path.extname(resolved).toLowerCase() === ".json") {
+    rules = JSON.parse(await fs.readFile(resolved, "utf8"));
+  } else {
+    const mod = await import(pathToFileURL(resolved).href);
+    rules = mod.default;
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`${file}: expected an array of rules`);
+  }
+  registerRules(rules, file);
+  return rules.length;
+}
+
+function scoreRule(rule, lines, displayLines) {
+  let score = 0;
+  const evidence = new Map(); // line number -> text
+
+  for (const { pattern, weight } of rule.signals) {
+    let matched = false;
+    lines.forEach((text, idx) => {
+      if (!pattern.test(text)) return;
+      matched = true;
+      if (weight > 0 && evidence.size < MAX_EVIDENCE) {
+        evidence.set(idx + 1, displayLines[idx].trim());
+      }
+    });
+    if (matched) score += weight;
+  }
+
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+    evidence: [...evidence.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([line, text]) => ({ line, text })),
+  };
+}
+
+/**
+ * Scores every registered rule against `code` and returns the matches at or
+ * above MIN_CONFIDENCE, best first. Ties keep registration order.
+ * `displayCode` (same line layout, e.g. the source before comments and
+ * strings were masked) supplies the evidence text.
+ */
+export function detectPatterns(code, displayCode = code) {
+  const lines = code.split("\n");
+  const displayLines = displayCode.split("\n");
+  const matches = [];
+
+  for (const rule of registry.values()) {
+    const { confidence, evidence } = scoreRule(rule, lines, displayLines);
+    if (confidence >= MIN_CONFIDENCE) {
+      matches.push({ rule, confidence, evidence });
+    }
+  }
+
+  return matches.sort((a, b) => b.confidence - a.confidence);
+}
@@ -0,0 +1,85 @@
+/**
+ * Minimal JSON-Schema subset used to validate structured LLM output.
+ * Supports `type` (object|array|string|number|boolean), `required`,
+ * `properties`, `items`, `minItems` and `minLength`.
+ */
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Validates `value` against `schema` and returns a list of human-readable
+ * errors such as `timeComplexity: expected string, got undefined`.
+ * An empty list means the value is valid.
+ */
+export function validate(schema, value, at = "") {
+  const errors = [];
+  const label = at || "response";
+  const actual = typeOf(value);
+
+  if (schema.type && actual !== schema.type) {
+    errors.push(`${label}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+
+  if (schema.type === "string" && schema.minLength) {
+    if (value.trim().length < schema.minLength) {
+      errors.push(`${label}: must not be empty`);
+    }
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${label}: expected at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => {
+        errors.push(...validate(schema.items, item, `${label}[${idx}]`));
+      });
+    }
+  }
+
+  if (schema.type === "object") {
+    const prefix = at ? `${at}.` : "";
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${prefix}${key}: required field is missing`);
+      }
+    }
+
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      errors.push(...validate(propSchema, value[key], `${prefix}${key}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Keeps only the top-level properties of an object response that validate on
+ * their own, so one bad field does not discard the rest of the response.
+ */
+export function pickValid(schema, value) {
+  if (typeOf(value) !== "object") return {};
+
+  const picked = {};
+  for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+    if (value[key] === undefined || value[key] === null) continue;
+    if (validate(propSchema, value[key], key).length === 0) {
+      picked[key] = value[key];
+    } else if (Array.isArray(value[key]) && propSchema.items) {
+      // Salvage the individual items that are valid
+      const items = value[key].filter(
+        (item) => validate(propSchema.items, item).length === 0
+      );
+      if (items.length) picked[key] = items;
+    }
+  }
+
+  return picked;
+}
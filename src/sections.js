@@ -0,0 +1,197 @@
+import { judgeLabel } from "./problem.js";
+
+/**
+ * Note layout shared by every renderer (Notion, markdown), so the outputs
+ * list the same sections in the same order.
+ * `kind` tells a renderer how to draw the field:
+ *   prose      - markdown text
+ *   pseudocode - plain preformatted text
+ *   diagram    - preformatted text kept exactly, indentation included
+ *   list       - array of short strings
+ *   examples   - array of { input, output, note }
+ *   units      - array of { name, kind, startLine, endLine, approach,
+ *                pseudocode, complexity, code }, one per top-level
+ *                function or class, each drawn as its own collapsible part
+ *   code       - source in the note's language
+ *   data       - any other JSON value, shown as formatted JSON (custom
+ *                stages with an object schema)
+ */
+export const NOTE_SECTIONS = [
+  { field: "overview", heading: "Overview", kind: "prose" },
+  { field: "modules", heading: "Modules", kind: "list" },
+  { field: "dependencyGraph", heading: "Dependency Graph", kind: "diagram" },
+  { field: "approach", heading: "Approach", kind: "prose" },
+  { field: "pseudocode", heading: "Pseudocode", kind: "pseudocode" },
+  { field: "complexity", heading: "Complexity", kind: "prose" },
+  { field: "units", heading: "Components", kind: "units" },
+  { field: "edgeCases", heading: "Edge Cases", kind: "list" },
+  { field: "examples", heading: "Examples", kind: "examples" },
+  { field: "explanation", heading: "Detailed Explanation", kind: "prose" },
+  { field: "code", heading: "Solution Code", kind: "code" },
+];
+
+/**
+ * Sections of one note: NOTE_SECTIONS plus the sections of custom stages
+ * recorded in `metadata.customSections`, placed before the detailed
+ * explanation.
+ */
+export function noteSections(fx) {
+  const custom = (fx.metadata && fx.metadata.customSections) || [];
+  if (custom.length === 0) return NOTE_SECTIONS;
+
+  const at = NOTE_SECTIONS.findIndex((s) => s.field === "explanation");
+  return [...NOTE_SECTIONS.slice(0, at), ...custom, ...NOTE_SECTIONS.slice(at)];
+}
+
+export const HEURISTIC_NOTICE =
+  "Heuristic-sourced: this section comes from pattern matching, not the LLM.";
+
+export function hasSection(fx, section) {
+  const value = fx[section.field];
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * True when a section was filled by the heuristic engine in an LLM-based run.
+ */
+export function isHeuristicSourced(fx, field) {
+  const meta = fx.metadata;
+  if (!meta || !meta.provenance || meta.mode === "heuristic") return false;
+  return meta.provenance[field] === "heuristic";
+}
+
+/**
+ * Text for the summary callout at the top of a note: generation details
+ * and the inferred problem. Empty when there is nothing to show.
+ */
+export function metadataSummary(fx) {
+  let text = "";
+
+  if (fx.metadata) {
+    const date = new Date(fx.metadata.generatedAt).toLocaleString();
+    text = `Generated: ${date} | Mode: ${fx.metadata.mode} | Source: ${fx.metadata.sourceFile}`;
+  }
+
+  const judge = fx.metadata && fx.metadata.judge;
+  if (judge) {
+    if (text) text += "\n\n";
+    text += `Judge: ${judgeLabel(judge)}`;
+    if (judge.url) text += ` (${judge.url})`;
+  }
+
+  // File notes of a project link back to their place in it
+  const project = fx.metadata && fx.metadata.project;
+  if (project && project.file) {
+    if (text) text += "\n\n";
+    text += `Project: ${project.root} (${project.file})`;
+    if (project.imports.length) {
+      text += `\nImports: ${project.imports.join(", ")}`;
+    }
+    if (project.importedBy.length) {
+      text += `\nUsed by: ${project.importedBy.join(", ")}`;
+    }
+  }
+
+  const testFile = fx.metadata && fx.metadata.testFile;
+  if (testFile) {
+    if (text) text += "\n\n";
+    text += `Tests: ${testFile}`;
+  }
+
+  if (fx.problem && fx.problem !== "not inferred") {
+    if (text) text += "\n\n";
+    text += `Problem: ${fx.problem}`;
+  }
+
+  return text;
+}
+
+const VERIFICATION_NOTICES = {
+  verified: ["success", () => "Verified: the solution prints this output."],
+  filled: [
+    "warning",
+    () =>
+      "Unchecked: the example had no expected output, so this is what the solution prints.",
+  ],
+  mismatched: [
+    "warning",
+    (v) =>
+      `Mismatch: the solution prints the output above, but the example expected:\n${v.expected}`,
+  ],
+  failed: ["failure", (v) => `Not verified: ${v.error}`],
+};
+
+/**
+ * Text and callout style ("success", "warning" or "failure") for an
+ * example's `--verify-examples` result, or null when it was not verified.
+ */
+export function verificationNotice(ex) {
+  const v = ex && ex.verification;
+  const notice = v && VERIFICATION_NOTICES[v.status];
+  if (!notice) return null;
+
+  const [style, text] = notice;
+  return { style, text: text(v) };
+}
+
+/**
+ * Heading for one unit of a segmented note, e.g. "solve (function, lines
+ * 12-30)".
+ */
+export function unitHeading(unit) {
+  const lines = unit.startLine
+    ? `, lines ${unit.startLine}-${unit.endLine}`
+    : "";
+  return `${unit.name} (${unit.kind || "function"}${lines})`;
+}
+
+export function formatPseudocode(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Checked against the title, problem and approach, in display order.
+const ALGORITHM_TAGS = [
+  ["Sorting", /sort(?!ed)/],
+  ["Binary Search", /binary search/],
+  ["Dynamic Programming", /dynamic programming|memoi[sz]/],
+  ["Graph", /graph|\bbfs\b|\bdfs\b|breadth-first|depth-first|dijkstra/],
+  ["Greedy", /greedy/],
+  ["Two Pointers", /two[- ]pointers?/],
+  ["Sliding Window", /sliding window/],
+  ["Backtracking", /backtrack/],
+  ["Recursion", /recursi/],
+  ["Divide and Conquer", /divide[- ]and[- ]conquer/],
+  ["Hashing", /hash/],
+  ["Tree", /\btrees?\b/],
+];
+
+export function algorithmTags(fixture) {
+  const text = [fixture.title, fixture.problem, fixture.approach]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  return ALGORITHM_TAGS.filter(([, pattern]) => pattern.test(text)).map(
+    ([name]) => name
+  );
+}
+
+/**
+ * Pulls one bound out of complexity text such as
+ * "Time: O(n log n); Space: O(1)" or "Time Complexity: O(n) - because...".
+ */
+export function complexityPart(text, label) {
+  if (!text) return "";
+
+  const match = text.match(
+    new RegExp(
+      `${label}[^:\\n]*:\\s*(.+?)(?=\\s*(?:[;\\n]|[,.]\\s*(?:time|space)\\b| - |$))`,
+      "i"
+    )
+  );
+  return match ? match[1].replace(/[.,]+$/, "").trim() : "";
+}
@@ -0,0 +1,201 @@
+import { lexerFor, splitSource } from "./lexer.js";
+
+/**
+ * Splits a source file into its top-level functions and classes so each can
+ * be analyzed on its own. Units are `{ name, kind, startLine, endLine, code }`
+ * with kind "function" or "class" and 1-based inclusive line numbers; the
+ * code includes any comment block directly above the definition.
+ */
+
+// Units shorter than this (e.g. a one-line `swap`) are folded into the rest
+const MIN_UNIT_LINES = 3;
+
+const NOT_FUNCTIONS = new Set([
+  "if",
+  "for",
+  "while",
+  "switch",
+  "catch",
+  "return",
+  "sizeof",
+  "namespace",
+]);
+
+const CLASS_HEADER =
+  /\b(class|struct|interface|trait|enum|impl(?:\s*<[^>]*>)?)\s+(?:[\w:]+\s+for\s+)?([A-Za-z_]\w*)/;
+
+/**
+ * Names the definition a top-level `{` opens, from the text between the
+ * previous statement and the brace, or returns null for anything else
+ * (namespaces, initializers, `extern "C"` blocks).
+ */
+function classifyHeader(header) {
+  const text = header.replace(/\s+/g, " ").trim();
+  if (!text || /^(namespace|extern|using|typedef)\b/.test(text)) return null;
+  if (/=\s*$/.test(text)) return null;
+
+  // Go types: type Point struct {
+  const goType = text.match(/^type\s+([A-Za-z_]\w*)\s+(?:struct|interface)$/);
+  if (goType) return { name: goType[1], kind: "class" };
+
+  const classMatch = text.match(CLASS_HEADER);
+  if (classMatch && !/\)\s*$/.test(text.split(classMatch[0])[1] || "")) {
+    return { name: classMatch[2], kind: "class" };
+  }
+
+  // Go functions and methods: func (r *Recv) Name(...)
+  const goFunc = text.match(
+    /^func\s*(?:\(\s*\w*\s*\*?\s*([A-Za-z_]\w*)[^)]*\)\s*)?([A-Za-z_]\w*)\s*\(/
+  );
+  if (goFunc) {
+    const name = goFunc[1] ? `${goFunc[1]}.${goFunc[2]}` : goFunc[2];
+    return { name, kind: "function" };
+  }
+
+  const keyword = text.match(/\b(?:fn|function\*?)\s+([A-Za-z_$][\w$]*)/);
+  if (keyword) return { name: keyword[1], kind: "function" };
+
+  // const name = (...) => {   /   const name = function (...) {
+  const assigned = text.match(
+    /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\(|[A-Za-z_$][\w$]*\s*=>)/
+  );
+  if (assigned) return { name: assigned[1], kind: "function" };
+
+  // C-family: the identifier before the parameter list
+  if (/\)[^()]*$/.test(text)) {
+    const call = text.match(
+      /([A-Za-z_~][\w:~]*)\s*\((?:[^()]|\([^()]*\))*\)[^()]*$/
+    );
+    if (call) {
+      const name = call[1].split("::").pop();
+      if (!NOT_FUNCTIONS.has(name)) return { name, kind: "function" };
+    }
+  }
+
+  return null;
+}
+
+function matchClose(code, open) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === "{") depth++;
+    else if (code[i] === "}" && --depth === 0) return i;
+  }
+  return code.length - 1;
+}
+
+function lineAt(code, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) if (code[i] === "\n") line++;
+  return line;
+}
+
+function braceUnits(masked, family) {
+  // Go statements end at the line break
+  const newlineEnds = family === "go";
+  const units = [];
+  let statementStart = 0;
+
+  for (let i = 0; i < masked.length; i++) {
+    const ch = masked[i];
+    if (ch === ";" || ch === "}") {
+      statementStart = i + 1;
+    } else if (
+      ch === "\n" &&
+      (newlineEnds || /^\s*#/.test(lineText(masked, i)))
+    ) {
+      // Preprocessor lines end at the newline, not at `;`
+      statementStart = i + 1;
+    } else if (ch === "{") {
+      const close = matchClose(masked, i);
+      const header = masked.slice(statementStart, i);
+      const unit = classifyHeader(header);
+      if (unit) {
+        const offset = statementStart + header.search(/\S/);
+        units.push({
+          ...unit,
+          startLine: lineAt(masked, offset),
+          endLine: lineAt(masked, close),
+        });
+      }
+      i = close;
+      statementStart = close + 1;
+    }
+  }
+
+  return units;
+}
+
+// Text of the line that ends at `newline`
+function lineText(code, newline) {
+  return code.slice(code.lastIndexOf("\n", newline - 1) + 1, newline);
+}
+
+function indentUnits(masked) {
+  const lines = masked.split("\n");
+  const units = [];
+  let current = null;
+
+  lines.forEach((line, idx) => {
+    if (!line.trim() || /^\s/.test(line)) {
+      if (current && line.trim()) current.endLine = idx + 1;
+      return;
+    }
+
+    const def = line.match(/^(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/);
+    if (def) {
+      // Decorators directly above belong to the definition
+      let start = idx;
+      while (start > 0 && /^@/.test(lines[start - 1])) start--;
+      current = {
+        name: def[2],
+        kind: def[1] === "class" ? "class" : "function",
+        startLine: start + 1,
+        endLine: idx + 1,
+      };
+      units.push(current);
+    } else if (!/^@/.test(line)) {
+      current = null;
+    }
+  });
+
+  return units;
+}
+
+/**
+ * Returns the top-level units of `code`, or an empty list when the language
+ * is unknown. A file with a single unit is still returned as one unit;
+ * callers decide whether splitting is worthwhile.
+ */
+export function segmentSource(code, language) {
+  if (!lexerFor(language)) return [];
+
+  const family = lexerFor(language);
+  const { code: masked, comments } = splitSource(code, language);
+  const found =
+    family === "python" ? indentUnits(masked) : braceUnits(masked, family);
+  const lines = code.split("\n");
+  const maskedLines = masked.split("\n");
+
+  return found
+    .filter((unit) => unit.endLine - unit.startLine + 1 >= MIN_UNIT_LINES)
+    .map((unit) => {
+      // Pull in the comment block that ends right above the definition
+      let start = unit.startLine;
+      for (;;) {
+        const above = comments.find(
+          (c) =>
+            c.line + c.text.split("\n").length === start &&
+            !maskedLines[c.line - 1].trim()
+        );
+        if (!above) break;
+        start = above.line;
+      }
+
+      return {
+        ...unit,
+        startLine: start,
+        code: lines.slice(start - 1, unit.endLine).join("\n"),
+      };
+    });
+}
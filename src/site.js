@@ -0,0 +1,417 @@
+import fs from "fs/promises";
+import path from "path";
+import { markdownToBlocks, markdownToRichText } from "./markdown.js";
+import { readFixtures } from "./fixtures.js";
+import {
+  HEURISTIC_NOTICE,
+  algorithmTags,
+  formatPseudocode,
+  hasSection,
+  isHeuristicSourced,
+  metadataSummary,
+  noteSections,
+  unitHeading,
+  verificationNotice,
+} from "./sections.js";
+
+// Inlined into every page so the site works from file:// with no network.
+const STYLE = `
+:root { --fg: #1f2328; --muted: #656d76; --bg: #fff; --line: #d0d7de;
+  --code-bg: #f6f8fa; --accent: #0969da; --warn: #fff8c5; --info: #ddf4ff; }
+* { box-sizing: border-box; }
+body { margin: 0 auto; max-width: 860px; padding: 24px 16px 64px;
+  font: 16px/1.6 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif;
+  color: var(--fg); background: var(--bg); }
+a { color: var(--accent); text-decoration: none; }
+a:hover { text-decoration: underline; }
+h1 { margin-bottom: 4px; }
+h2 { border-bottom: 1px solid var(--line); padding-bottom: 4px; margin-top: 32px; }
+pre { background: var(--code-bg); padding: 12px; overflow-x: auto;
+  border-radius: 6px; font-size: 14px; line-height: 1.45; }
+code { font-family: ui-monospace, Consolas, "Liberation Mono", monospace; }
+p code, li code { background: var(--code-bg); padding: 1px 4px; border-radius: 4px; }
+.callout { padding: 10px 14px; border-radius: 6px; margin: 12px 0; white-space: pre-line; }
+.callout.info { background: var(--info); }
+.callout.warning { background: var(--warn); }
+.callout.success { background: #dafbe1; }
+.callout.failure { background: #ffebe9; }
+details.unit { border: 1px solid var(--line); border-radius: 6px; padding: 4px 14px; margin: 8px 0; }
+details.unit summary { cursor: pointer; font-weight: 600; padding: 6px 0; }
+.tags { margin: 8px 0 16px; }
+.tag { display: inline-block; font-size: 13px; padding: 1px 8px; margin: 0 4px 4px 0;
+  border: 1px solid var(--line); border-radius: 12px; color: var(--muted); }
+.math { font-style: italic; }
+#search { width: 100%; font-size: 16px; padding: 8px 12px; margin: 12px 0;
+  border: 1px solid var(--line); border-radius: 6px; }
+.group li { margin: 4px 0; }
+.group .lang { color: var(--muted); font-size: 13px; margin-left: 6px; }
+.empty { color: var(--muted); }
+.tok-comment { color: #6e7781; font-style: italic; }
+.tok-string { color: #0a3069; }
+.tok-number { color: #0550ae; }
+.tok-keyword { color: #cf222e; }
+.tok-meta { color: #8250df; }
+`;
+
+// Hides notes that do not match the query, then any group left empty.
+const SEARCH_SCRIPT = `
+const input = document.getElementById("search");
+input.addEventListener("input", () => {
+  const terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+  for (const li of document.querySelectorAll(".group li")) {
+    const text = li.dataset.search;
+    li.hidden = !terms.every((t) => text.includes(t));
+  }
+  for (const group of document.querySelectorAll(".group")) {
+    group.hidden = !group.querySelector("li:not([hidden])");
+  }
+  document.getElementById("no-results").hidden =
+    !!document.querySelector(".group li:not([hidden])");
+});
+`;
+
+const KEYWORDS = new Set(
+  (
+    "auto break case catch char class const continue default def delete do " +
+    "double elif else enum except export extends false final finally float " +
+    "for fn from func function if impl import in include int interface is " +
+    "lambda let long match namespace new nil None not null or and package " +
+    "pass private protected public raise return self short signed sizeof " +
+    "static struct super switch template this throw True true try typedef " +
+    "typename unsigned use using var void volatile while with yield bool " +
+    "string vector map set pair"
+  ).split(" ")
+);
+
+const HASH_COMMENT_LANGS = new Set(["py", "python", "rb", "ruby", "sh", "r"]);
+
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Wraps comments, strings, numbers, keywords and preprocessor lines of
+ * source code in `tok-*` spans. A small tokenizer rather than a full
+ * grammar, so it covers every language the CLI accepts well enough.
+ */
+function highlightCode(code, language = "") {
+  const hashComments = HASH_COMMENT_LANGS.has(language.toLowerCase());
+  const pattern = new RegExp(
+    [
+      hashComments ? "(#[^\\n]*)" : "(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/)",
+      "(\"(?:\\\\.|[^\"\\\\\\n])*\"|'(?:\\\\.|[^'\\\\\\n])*'|`(?:\\\\.|[^`\\\\])*`)",
+      "(\\b\\d+(?:\\.\\d+)?\\b)",
+      "([A-Za-z_]\\w*)",
+      hashComments ? "(?!)" : "(^[ \\t]*#\\w+)",
+    ].join("|"),
+    "gm"
+  );
+
+  let html = "";
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    const [token, comment, string, number, word, meta] = match;
+    html += escapeHtml(code.slice(last, match.index));
+
+    let cls = null;
+    if (comment) cls = "comment";
+    else if (string) cls = "string";
+    else if (number) cls = "number";
+    else if (meta) cls = "meta";
+    else if (word && KEYWORDS.has(word)) cls = "keyword";
+
+    html += cls
+      ? `<span class="tok-${cls}">${escapeHtml(token)}</span>`
+      : escapeHtml(token);
+    last = pattern.lastIndex;
+  }
+
+  return html + escapeHtml(code.slice(last));
+}
+
+function richTextToHtml(parts) {
+  return parts
+    .map((part) => {
+      if (part.type === "equation") {
+        return `<span class="math">${escapeHtml(
+          part.equation.expression
+        )}</span>`;
+      }
+
+      const a = part.annotations || {};
+      let html = escapeHtml(part.text.content).replace(/\n/g, "<br>");
+      if (a.code) html = `<code>${html}</code>`;
+      if (a.bold) html = `<strong>${html}</strong>`;
+      if (a.italic) html = `<em>${html}</em>`;
+      if (a.strikethrough) html = `<s>${html}</s>`;
+      if (part.text.link) {
+        html = `<a href="${escapeHtml(part.text.link.url)}">${html}</a>`;
+      }
+      return html;
+    })
+    .join("");
+}
+
+const LIST_TAGS = { bulleted_list_item: "ul", numbered_list_item: "ol" };
+
+/**
+ * Renders markdown prose through the same parser the Notion renderer uses,
+ * so both outputs agree on lists, code and emphasis.
+ */
+function proseToHtml(text) {
+  const html = [];
+  let openList = null;
+
+  for (const block of markdownToBlocks(text)) {
+    const listTag = LIST_TAGS[block.type] || null;
+    if (openList && openList !== listTag) {
+      html.push(`</${openList}>`);
+      openList = null;
+    }
+    if (listTag && !openList) {
+      html.push(`<${listTag}>`);
+      openList = listTag;
+    }
+
+    const body = block[block.type];
+    if (listTag) {
+      html.push(`<li>${richTextToHtml(body.rich_text)}</li>`);
+    } else if (block.type === "heading_3") {
+      html.push(`<h3>${richTextToHtml(body.rich_text)}</h3>`);
+    } else if (block.type === "code") {
+      const code = body.rich_text.map((p) => p.text.content).join("");
+      html.push(`<pre><code>${escapeHtml(code)}</code></pre>`);
+    } else {
+      html.push(`<p>${richTextToHtml(body.rich_text)}</p>`);
+    }
+  }
+
+  if (openList) html.push(`</${openList}>`);
+  return html.join("\n");
+}
+
+function codeHtml(code, language) {
+  return `<pre><code>${highlightCode(code, language)}</code></pre>`;
+}
+
+function noticeHtml(notice) {
+  return notice
+    ? `<div class="callout ${notice.style}">${escapeHtml(notice.text)}</div>`
+    : "";
+}
+
+function sectionHtml(fx, section) {
+  const value = fx[section.field];
+
+  switch (section.kind) {
+    case "prose":
+      return proseToHtml(value);
+    case "pseudocode":
+      return `<pre><code>${escapeHtml(formatPseudocode(value))}</code></pre>`;
+    case "diagram":
+      return `<pre><code>${escapeHtml(value)}</code></pre>`;
+    case "data":
+      return `<pre><code>${escapeHtml(
+        JSON.stringify(value, null, 2)
+      )}</code></pre>`;
+    case "list":
+      return `<ul>\n${value
+        .map((item) => `<li>${richTextToHtml(markdownToRichText(item))}</li>`)
+        .join("\n")}\n</ul>`;
+    case "examples":
+      return value
+        .map((ex, idx) =>
+          [
+            `<h3>Example ${idx + 1} — Input</h3>`,
+            codeHtml(ex.input || "", fx.language),
+            `<h3>Example ${idx + 1} — Output</h3>`,
+            `<pre><code>${escapeHtml(ex.output || "")}</code></pre>`,
+            noticeHtml(verificationNotice(ex)),
+            ex.note
+              ? `<p>${richTextToHtml(markdownToRichText(ex.note))}</p>`
+              : "",
+          ].join("\n")
+        )
+        .join("\n");
+    case "units":
+      return value
+        .map((unit) =>
+          [
+            `<details class="unit">`,
+            `<summary>${escapeHtml(unitHeading(unit))}</summary>`,
+            unit.approach ? proseToHtml(unit.approach) : "",
+            unit.complexity
+              ? `<p><strong>Complexity:</strong> ${escapeHtml(
+                  unit.complexity
+                )}</p>`
+              : "",
+            unit.pseudocode
+              ? `<pre><code>${escapeHtml(
+                  formatPseudocode(unit.pseudocode)
+                )}</code></pre>`
+              : "",
+            unit.code ? codeHtml(unit.code, fx.language) : "",
+            `</details>`,
+          ].join("\n")
+        )
+        .join("\n");
+    case "code":
+      return codeHtml(value, fx.language);
+    default:
+      return "";
+  }
+}
+
+function page(title, body, script = "") {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+${script ? `<script>${script}</script>` : ""}
+</body>
+</html>
+`;
+}
+
+function tagsHtml(tags) {
+  return tags.map((t) => `<span class="tag">${escapeHtml(t)}</span>`).join("");
+}
+
+function notePage(note, { standalone = false } = {}) {
+  const { fx } = note;
+  const parts = [
+    standalone ? "" : `<p><a href="index.html">← All notes</a></p>`,
+    `<h1>${escapeHtml(fx.title)}</h1>`,
+    `<div class="tags">${tagsHtml([fx.language, ...note.tags])}</div>`,
+  ];
+
+  const summary = metadataSummary(fx);
+  if (summary) {
+    parts.push(`<div class="callout info">${escapeHtml(summary)}</div>`);
+  }
+
+  for (const section of noteSections(fx)) {
+    if (!hasSection(fx, section)) continue;
+
+    parts.push(`<h2>${escapeHtml(section.heading)}</h2>`);
+    if (isHeuristicSourced(fx, section.field)) {
+      parts.push(`<div class="callout warning">${HEURISTIC_NOTICE}</div>`);
+    }
+    parts.push(sectionHtml(fx, section));
+  }
+
+  return page(fx.title, parts.join("\n"));
+}
+
+/**
+ * Renders one fixture as a self-contained HTML page outside of a site.
+ */
+export function fixtureToHtml(fx) {
+  return notePage({ fx, tags: algorithmTags(fx) }, { standalone: true });
+}
+
+function groupHtml(label, notes) {
+  const items = notes
+    .map((note) => {
+      const search = [
+        note.fx.title,
+        note.fx.language,
+        note.fx.problem,
+        ...note.tags,
+      ]
+        .join(" ")
+        .toLowerCase();
+      return `<li data-search="${escapeHtml(search)}"><a href="${
+        note.file
+      }">${escapeHtml(note.fx.title)}</a><span class="lang">${escapeHtml(
+        note.fx.language
+      )}</span></li>`;
+    })
+    .join("\n");
+
+  return `<section class="group">\n<h3>${escapeHtml(
+    label
+  )}</h3>\n<ul>\n${items}\n</ul>\n</section>`;
+}
+
+function groupBy(notes, keysOf) {
+  const groups = new Map();
+  for (const note of notes) {
+    for (const key of keysOf(note)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(note);
+    }
+  }
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+function indexPage(notes) {
+  const byAlgorithm = groupBy(notes, (n) =>
+    n.tags.length ? n.tags : ["Other"]
+  );
+  const byLanguage = groupBy(notes, (n) => [n.fx.language]);
+
+  const body = [
+    `<h1>Study Notes</h1>`,
+    `<p>${notes.length} note(s)</p>`,
+    `<input id="search" type="search" placeholder="Search notes..." autofocus>`,
+    `<p id="no-results" class="empty" hidden>No matching notes.</p>`,
+    `<h2>By algorithm type</h2>`,
+    ...byAlgorithm.map(([label, group]) => groupHtml(label, group)),
+    `<h2>By language</h2>`,
+    ...byLanguage.map(([label, group]) => groupHtml(label, group)),
+  ].join("\n");
+
+  return page("Study Notes", body, SEARCH_SCRIPT);
+}
+
+function slugify(title) {
+  return (
+    title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "note"
+  );
+}
+
+/**
+ * Reads every fixture in `fixturesDir` and writes a static site to `outDir`:
+ * index.html with grouped, searchable links and one page per note.
+ * Files that are not valid fixtures are skipped and reported.
+ */
+export async function buildSite(fixturesDir, outDir) {
+  const { fixtures, skipped } = await readFixtures([fixturesDir]);
+
+  const notes = [];
+  const used = new Set();
+
+  for (const { fx } of fixtures) {
+    let slug = slugify(fx.title);
+    for (let n = 2; used.has(slug); n++) slug = `${slugify(fx.title)}-${n}`;
+    used.add(slug);
+
+    notes.push({ fx, tags: algorithmTags(fx), file: `${slug}.html` });
+  }
+
+  notes.sort((a, b) => a.fx.title.localeCompare(b.fx.title));
+
+  await fs.mkdir(outDir, { recursive: true });
+  for (const note of notes) {
+    await fs.writeFile(path.join(outDir, note.file), notePage(note), "utf8");
+  }
+  await fs.writeFile(path.join(outDir, "index.html"), indexPage(notes), "utf8");
+
+  return { notes: notes.length, skipped };
+}
@@ -0,0 +1,266 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/**
+ * Runs a solution against its examples' inputs to check the outputs.
+ * Each run happens in a throwaway directory with a stripped environment, a
+ * timeout and an output cap; it is not a security boundary, so only verify
+ * code you would run yourself.
+ */
+
+// Commands per extension. `{name}` is the file name the source is saved
+// under; `{class}` the public Java class.
+const RUNNERS = {
+  c: { file: "main.c", compile: ["gcc", "-O2", "-o", "main", "{name}", "-lm"] },
+  cpp: {
+    file: "main.cpp",
+    compile: ["g++", "-O2", "-std=c++17", "-o", "main", "{name}"],
+  },
+  py: { file: "main.py", run: ["python3", "{name}"] },
+  js: { file: "main.js", run: ["node", "{name}"] },
+  mjs: { file: "main.mjs", run: ["node", "{name}"] },
+  cjs: { file: "main.cjs", run: ["node", "{name}"] },
+  java: {
+    file: "{class}.java",
+    compile: ["javac", "{name}"],
+    run: ["java", "-cp", ".", "{class}"],
+  },
+  go: { file: "main.go", compile: ["go", "build", "-o", "main", "{name}"] },
+  rs: { file: "main.rs", compile: ["rustc", "-O", "-o", "main", "{name}"] },
+  rb: { file: "main.rb", run: ["ruby", "{name}"] },
+};
+RUNNERS.cc = RUNNERS.cxx = RUNNERS["c++"] = RUNNERS.cpp;
+
+const COMPILE_TIMEOUT_MS = 60000;
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+
+// Outputs the generators use when they do not know the answer
+export const PLACEHOLDER_OUTPUT = /^(see code output|n\/a|unknown|\?+)?$/i;
+
+function javaClass(code) {
+  const match = code.match(/public\s+(?:final\s+)?class\s+(\w+)/);
+  return match ? match[1] : "Main";
+}
+
+// Toolchain managers (pyenv, rustup, ...) locate compilers through these
+const PASSED_ENV = [
+  "PATH",
+  "HOME",
+  "PYENV_ROOT",
+  "RBENV_ROOT",
+  "GOROOT",
+  "GOPATH",
+  "CARGO_HOME",
+  "RUSTUP_HOME",
+  "JAVA_HOME",
+];
+
+// Only what compilers need; API keys and tokens stay out of the child
+function sandboxEnv(cwd) {
+  const env = { TMPDIR: cwd, LANG: "C.UTF-8" };
+  for (const name of PASSED_ENV) {
+    if (process.env[name]) env[name] = process.env[name];
+  }
+  return env;
+}
+
+function fill(args, vars) {
+  return args.map((arg) =>
+    arg.replace(/\{(\w+)\}/g, (_, key) => vars[key] ?? "")
+  );
+}
+
+/**
+ * How to build and run a source file: `{ file, compile, run }` where `file`
+ * is the name to save the source under, `compile` the build command (null
+ * for interpreted languages) and `run` the command that runs it, both as
+ * argument arrays relative to the build directory. Null for languages
+ * without a runner.
+ */
+export function runnerFor(filePath, code) {
+  const runner = RUNNERS[path.extname(filePath).slice(1).toLowerCase()];
+  if (!runner) return null;
+
+  const vars = { class: javaClass(code) };
+  vars.name = fill([runner.file], vars)[0];
+  return {
+    file: vars.name,
+    compile: runner.compile ? fill(runner.compile, vars) : null,
+    run: fill(runner.run || ["./main"], vars),
+  };
+}
+
+/**
+ * Runs a command to completion. Resolves with `{ code, stdout, stderr,
+ * timedOut, truncated }`; rejects only when the command cannot start.
+ */
+function run(command, args, { cwd, input = "", timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      env: sandboxEnv(cwd),
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let truncated = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeoutMs);
+
+    const collect = (chunk, append) => {
+      if (stdout.length + stderr.length > MAX_OUTPUT_BYTES) {
+        truncated = true;
+        child.kill("SIGKILL");
+        return;
+      }
+      append(chunk.toString("utf8"));
+    };
+    child.stdout.on("data", (c) => collect(c, (s) => (stdout += s)));
+    child.stderr.on("data", (c) => collect(c, (s) => (stderr += s)));
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(
+        err.code === "ENOENT" ? new Error(`${command} is not installed`) : err
+      );
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, timedOut, truncated });
+    });
+
+    // A program that never reads stdin closes it early; that is fine
+    child.stdin.on("error", () => {});
+    child.stdin.end(input.endsWith("\n") ? input : `${input}\n`);
+  });
+}
+
+function firstLines(text, count = 3) {
+  return text.trim().split("\n").slice(0, count).join("\n");
+}
+
+function normalizeOutput(text) {
+  return text
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trim();
+}
+
+// Outputs that differ only in spacing or line breaks count as equal
+function sameOutput(expected, actual) {
+  const tokens = (text) => text.split(/\s+/).filter(Boolean).join(" ");
+  return tokens(expected) === tokens(actual);
+}
+
+function failure(reason, result) {
+  if (result.timedOut) return `${reason}: timed out`;
+  if (result.truncated) return `${reason}: output exceeded 1 MB`;
+  const detail = firstLines(result.stderr) || `exit code ${result.code}`;
+  return `${reason}: ${detail}`;
+}
+
+/**
+ * Compiles or interprets `code` and runs it on every example's input,
+ * recording `example.verification = { status, expected?, error? }`:
+ *   verified   - the run printed the example's output
+ *   filled     - the example had a placeholder output ("See code output",
+ *                "N/A", empty), now replaced by the run's; nothing was
+ *                checked
+ *   mismatched - the run printed something else; `output` becomes the real
+ *                output and `expected` keeps the generated one
+ *   failed     - the solution could not be built or run; `output` is kept
+ * Returns counts per status.
+ */
+export async function verifyExamples(fixture, code, filePath, options = {}) {
+  const { timeoutMs = 5000 } = options;
+  const examples = Array.isArray(fixture.examples) ? fixture.examples : [];
+  const counts = { verified: 0, filled: 0, mismatched: 0, failed: 0 };
+  if (!examples.length) return counts;
+
+  const mark = (ex, verification) => {
+    ex.verification = verification;
+    counts[verification.status]++;
+  };
+
+  const runner = runnerFor(filePath, code);
+  if (!runner) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    for (const ex of examples) {
+      mark(ex, { status: "failed", error: `no runner for .${ext} files` });
+    }
+    return counts;
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "code2notion-verify-"));
+  try {
+    await fs.writeFile(path.join(dir, runner.file), code, "utf8");
+
+    if (runner.compile) {
+      let build;
+      try {
+        const [command, ...args] = runner.compile;
+        build = await run(command, args, {
+          cwd: dir,
+          timeoutMs: COMPILE_TIMEOUT_MS,
+        });
+      } catch (err) {
+        build = { error: err.message };
+      }
+
+      if (build.error || build.code !== 0) {
+        const error = build.error || failure("compile error", build);
+        for (const ex of examples) mark(ex, { status: "failed", error });
+        return counts;
+      }
+    }
+
+    const [command, ...args] = runner.run;
+    for (const ex of examples) {
+      let result;
+      try {
+        result = await run(command, args, {
+          cwd: dir,
+          input: ex.input || "",
+          timeoutMs,
+        });
+      } catch (err) {
+        mark(ex, { status: "failed", error: err.message });
+        continue;
+      }
+
+      if (result.timedOut || result.truncated || result.code !== 0) {
+        mark(ex, { status: "failed", error: failure("run failed", result) });
+        continue;
+      }
+
+      const actual = normalizeOutput(result.stdout);
+      const expected = normalizeOutput(ex.output || "");
+      if (!actual) {
+        mark(ex, { status: "failed", error: "run failed: printed nothing" });
+        continue;
+      }
+
+      ex.output = actual;
+      if (PLACEHOLDER_OUTPUT.test(expected)) {
+        mark(ex, { status: "filled" });
+      } else if (sameOutput(expected, actual)) {
+        mark(ex, { status: "verified" });
+      } else {
+        mark(ex, { status: "mismatched", expected });
+      }
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  return counts;
+}
@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { isIgnoredPath, isSupportedFile, isTestHarness } from "./files.js";
+
+/**
+ * Watches files and directories and calls `onChange(filePath)` for each
+ * changed source file once edits settle for `debounceMs`.
+ * Runs for the same file never overlap: a change that arrives mid-run
+ * queues exactly one follow-up run. Inside watched directories, generated
+ * test files, the directories that directory expansion skips and everything
+ * under `ignoreDirs` (the tool's own output) are ignored. Returns a function
+ * that stops watching.
+ */
+export function watchPaths(
+  inputs,
+  onChange,
+  { debounceMs = 300, ignoreDirs = [] } = {}
+) {
+  const ignored = ignoreDirs.map((dir) => path.resolve(dir));
+  const timers = new Map();
+  const running = new Map(); // file -> rerun requested
+  const watchers = [];
+
+  async function run(file) {
+    if (running.has(file)) {
+      running.set(file, true);
+      return;
+    }
+
+    running.set(file, false);
+    try {
+      await onChange(file);
+    } catch (err) {
+      console.error(`Regeneration failed for ${file}:`, err.message || err);
+    }
+
+    const again = running.get(file);
+    running.delete(file);
+    if (again) await run(file);
+  }
+
+  function schedule(file) {
+    clearTimeout(timers.get(file));
+    timers.set(
+      file,
+      setTimeout(() => {
+        timers.delete(file);
+        // Editors that save atomically briefly remove the file
+        if (fs.existsSync(file)) run(file);
+      }, debounceMs)
+    );
+  }
+
+  for (const input of inputs) {
+    const stat = fs.statSync(input);
+
+    if (stat.isDirectory()) {
+      watchers.push(
+        fs.watch(input, { recursive: true }, (event, filename) => {
+          if (!filename) return;
+          const file = path.join(input, filename.toString());
+          const absolute = path.resolve(file);
+          if (
+            !isSupportedFile(file) ||
+            isTestHarness(file) ||
+            isIgnoredPath(filename.toString()) ||
+            ignored.some((dir) => absolute.startsWith(dir + path.sep))
+          ) {
+            return;
+          }
+          schedule(path.normalize(file));
+        })
+      );
+    } else {
+      // Watch the parent directory so atomic renames are still seen
+      const dir = path.dirname(input);
+      const base = path.basename(input);
+      watchers.push(
+        fs.watch(dir, (event, filename) => {
+          if (filename && filename.toString() === base) {
+            schedule(path.normalize(input));
+          }
+        })
+      );
+    }
+  }
+
+  return () => {
+    watchers.forEach((w) => w.close());
+    timers.forEach((t) => clearTimeout(t));
+  };
+}
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { cardsToAnkiTsv, fixtureToCards } from "../src/anki.js";
+
+const fixture = (code) => ({
+  title: "selection_sort",
+  language: "python",
+  complexity: "Time: O(n^2); Space: O(1)",
+  edgeCases: ["Empty list"],
+  examples: [],
+  code,
+});
+
+function guids(tsv) {
+  return tsv
+    .split("\n")
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => line.split("\t")[0]);
+}
+
+test("fixtures with the same title and no source file get distinct IDs", () => {
+  const a = fixtureToCards(fixture("a = 1"), "fixtures/selection_sort.json");
+  const b = fixtureToCards(fixture("a = 1"), "fixtures/sel_custom.json");
+  const ids = new Set([...a, ...b].map((card) => card.id));
+  assert.equal(ids.size, a.length + b.length);
+});
+
+test("card IDs stay the same across exports", () => {
+  const first = fixtureToCards(fixture("a = 1"), "fixtures/one.json");
+  const again = fixtureToCards(fixture("a = 1"), "fixtures/one.json");
+  assert.deepEqual(
+    first.map((card) => card.id),
+    again.map((card) => card.id)
+  );
+});
+
+test("an export never repeats a GUID", () => {
+  const cards = fixtureToCards(fixture("a = 1"));
+  const ids = guids(cardsToAnkiTsv([...cards, ...cards]));
+  assert.equal(new Set(ids).size, cards.length * 2);
+});
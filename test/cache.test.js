@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { cacheKey, configureCache, withCache } from "../src/cache.js";
+
+const parts = {
+  codeHash: "abc",
+  promptHash: "def",
+  stage: "analysis",
+  model: "m",
+  temperature: 0.2,
+  maxTokens: 1000,
+};
+
+test("the key ignores part order but not the token limit", () => {
+  const reordered = Object.fromEntries(Object.entries(parts).reverse());
+  assert.equal(cacheKey(reordered), cacheKey(parts));
+  assert.notEqual(cacheKey({ ...parts, maxTokens: 4000 }), cacheKey(parts));
+});
+
+test("a cached value is returned without computing it again", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "c2n-cache-"));
+  configureCache({ enabled: true, dir });
+  try {
+    const key = cacheKey(parts);
+    const meta = { stage: "analysis", promptVersion: 1 };
+    let computed = 0;
+    const compute = async () => ({ n: ++computed });
+
+    assert.deepEqual(await withCache(key, meta, compute), { n: 1 });
+    assert.deepEqual(await withCache(key, meta, compute), { n: 1 });
+    assert.equal(computed, 1);
+
+    configureCache({ refreshStages: ["analysis"] });
+    assert.deepEqual(await withCache(key, meta, compute), { n: 2 });
+  } finally {
+    configureCache({ refreshStages: [] });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { estimateComplexity } from "../src/complexity.js";
+
+test("does not read indexing after a keyword as an allocation", () => {
+  const code = `def search(a, x):
+    lo, hi = 0, len(a) - 1
+    while lo <= hi:
+        mid = (lo + hi) // 2
+        if a[mid] < x:
+            lo = mid + 1
+        elif a[mid] > x and not a[lo] or a[hi]:
+            hi = mid - 1
+        else:
+            return mid
+    return -1
+`;
+  const result = estimateComplexity(code, "py");
+  assert.equal(result.time, "O(log n)");
+  assert.equal(result.space, "O(1)");
+});
+
+test("still counts C-style arrays sized by the input", () => {
+  const code = `int main() {
+  int n, m;
+  scanf("%d %d", &n, &m);
+  int a[n];
+  long long dp[n][m];
+  return 0;
+}
+`;
+  assert.equal(estimateComplexity(code, "cpp").space, "O(n^2)");
+});
@@ -0,0 +1,23 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { expandInputs } from "../src/files.js";
+
+test("leaves generated test files out of directory inputs", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "c2n-files-"));
+  for (const name of ["one.py", "one.test.py", "two.cpp", "two.test.sh"]) {
+    fs.writeFileSync(path.join(root, name), "");
+  }
+
+  try {
+    const { files } = await expandInputs([root]);
+    assert.deepEqual(files, [
+      path.join(root, "one.py"),
+      path.join(root, "two.cpp"),
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
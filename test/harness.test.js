@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { writeTestHarness } from "../src/harness.js";
+
+// Writes `code` as solve.py in a temp dir and returns its test script
+async function harness(code, fixture, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "c2n-harness-"));
+  const file = path.join(dir, "solve.py");
+  fs.writeFileSync(file, code);
+  const testPath = await writeTestHarness(
+    { title: "Echo", examples: [], edgeCases: [], ...fixture },
+    code,
+    file,
+    path.join(dir, "solve.json"),
+    options
+  );
+  return { dir, testPath, script: fs.readFileSync(testPath, "utf8") };
+}
+
+function runScript(testPath) {
+  return spawnSync("sh", [testPath], { encoding: "utf8", timeout: 30000 });
+}
+
+const ECHO = `import sys
+print("debug", file=sys.stderr)
+print(input())
+`;
+
+test("compares stdout only and uses the configured timeout", async () => {
+  const { dir, testPath, script } = await harness(
+    ECHO,
+    { examples: [{ input: "7", output: "7" }], edgeCases: ["Zero"] },
+    { timeoutMs: 2500 }
+  );
+  try {
+    assert.match(script, /\$TIMEOUT 2\.5\}/);
+    const result = runScript(testPath);
+    assert.equal(result.status, 0, result.stdout);
+    assert.match(result.stdout, /1 passed, 0 failed, 1 todo/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("fails a script without cases and says what is missing", async () => {
+  const { dir, testPath } = await harness(ECHO, {});
+  try {
+    const result = runScript(testPath);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /0 passed, 0 failed, 0 todo/);
+    assert.match(result.stdout, /add examples with expected output/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MAX_TEXT_LENGTH } from "../src/markdown.js";
+import { appendBlocks, fixtureToBlocks } from "../src/notion.js";
+
+const fixture = (fields) => ({
+  title: "Long",
+  language: "javascript",
+  edgeCases: [],
+  examples: [],
+  ...fields,
+});
+
+// Records append calls and answers with block IDs like the API does
+function fakeNotion() {
+  const calls = [];
+  let next = 0;
+  const notion = {
+    blocks: {
+      children: {
+        append: async ({ block_id, children }) => {
+          calls.push({ block_id, count: children.length, children });
+          return { results: children.map(() => ({ id: `block-${next++}` })) };
+        },
+      },
+    },
+  };
+  return { notion, calls };
+}
+
+test("a first line over the text limit gets no empty code block", () => {
+  const longLine = "x".repeat(MAX_TEXT_LENGTH + 500);
+  const blocks = fixtureToBlocks(fixture({ code: `${longLine}\nshort();` }));
+  const code = blocks.filter((block) => block.type === "code");
+
+  assert.ok(code.every((block) => block.code.rich_text.length > 0));
+  for (const block of code) {
+    for (const part of block.code.rich_text) {
+      assert.ok(part.text.content.length <= MAX_TEXT_LENGTH);
+    }
+  }
+  const text = code
+    .map((block) => block.code.rich_text.map((p) => p.text.content).join(""))
+    .join("");
+  assert.equal(text, `${longLine}\nshort();\n`);
+});
+
+test("appends every block, including toggle children past the limit", async () => {
+  const children = Array.from({ length: 130 }, (_, idx) => ({
+    object: "block",
+    type: "paragraph",
+    paragraph: { rich_text: [], idx },
+  }));
+  const toggle = {
+    object: "block",
+    type: "heading_3",
+    heading_3: { rich_text: [], is_toggleable: true, children },
+  };
+  const blocks = [...Array(149).fill({ type: "divider", divider: {} }), toggle];
+
+  const { notion, calls } = fakeNotion();
+  await appendBlocks(notion, "page", blocks);
+
+  assert.deepEqual(
+    calls.map(({ block_id, count }) => [block_id, count]),
+    [
+      ["page", 100],
+      ["page", 50],
+      ["block-149", 30],
+    ]
+  );
+  assert.equal(calls[1].children[49].heading_3.children.length, 100);
+  assert.equal(calls[2].children[0].paragraph.idx, 100);
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resolveProblem } from "../src/problem.js";
+
+test("reads the judge and title from the header comment", () => {
+  const code = `// Codeforces 1777A - Everybody Likes Good Arrays!
+#include <bits/stdc++.h>
+int main() {}
+`;
+  const problem = resolveProblem("solve.cpp", code);
+  assert.equal(problem.judge, "Codeforces");
+  assert.equal(problem.title, "Everybody Likes Good Arrays!");
+  assert.equal(problem.url, "https://codeforces.com/contest/1777/problem/A");
+});
+
+test("ignores judge IDs in comments below the first line of code", () => {
+  const code = `#include <cstdio>
+int main() {
+  // Same trick as Codeforces 1777A
+  return 0;
+}
+`;
+  assert.equal(resolveProblem("solve.cpp", code), null);
+});
+
+test("ignores a header line that only mentions a problem", () => {
+  const code = `# Output names look like "Codeforces 1777A" (e.g. "{judge}")
+x = 1
+`;
+  assert.equal(resolveProblem("notes.py", code), null);
+});
+
+test("needs a contest ID before reading Letter_Word file names", () => {
+  for (const name of ["C_Sharp.cs", "A_Star.cpp", "B_Tree.hpp"]) {
+    assert.equal(resolveProblem(`src/${name}`, "int x;\n"), null);
+  }
+
+  const problem = resolveProblem(
+    "codeforces/1777/A_Everybody_Likes_Good_Arrays.cpp",
+    "int main() {}\n"
+  );
+  assert.equal(problem.url, "https://codeforces.com/contest/1777/problem/A");
+  assert.equal(problem.source, "file name");
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  builtInPromptFile,
+  parseTemplate,
+  renderTemplate,
+} from "../src/prompts.js";
+
+test("splits the system message out of the front matter", () => {
+  const template = parseTemplate("---\nsystem: Be brief.\n---\nHi {{name}}\n");
+  assert.deepEqual(template, { system: "Be brief.", user: "Hi {{name}}" });
+});
+
+test("rejects unknown front-matter keys", () => {
+  assert.throws(
+    () => parseTemplate("---\nmodel: x\n---\nHi\n", "bad.md"),
+    /bad\.md: unknown front-matter line 'model: x'/
+  );
+});
+
+test("fills dotted names, arrays and missing properties", () => {
+  const text = renderTemplate("{{a.type}}|{{list}}|{{a.missing}}", {
+    a: { type: "DP" },
+    list: ["x", { y: 1 }],
+  });
+  assert.equal(text, 'DP|- x\n- {"y":1}|');
+});
+
+test("throws on a variable the context does not define", () => {
+  assert.throws(
+    () => renderTemplate("{{code}} {{analyis.problem}}", { code: "" }, "t.md"),
+    /t\.md: unknown variable \{\{analyis\.problem\}\} \(have: code\)/
+  );
+});
+
+test("every built-in template parses", () => {
+  const dir = path.dirname(builtInPromptFile("analysis"));
+  for (const name of fs.readdirSync(dir)) {
+    const text = fs.readFileSync(path.join(dir, name), "utf8");
+    assert.ok(parseTemplate(text, name).user, name);
+  }
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { verificationNotice } from "../src/sections.js";
+import { verifyExamples } from "../src/verify.js";
+
+const DOUBLE = "print(int(input()) * 2)\n";
+
+test("placeholder outputs are filled in, not counted as verified", async () => {
+  const fixture = {
+    examples: [
+      { input: "2", output: "4" },
+      { input: "3", output: "See code output" },
+      { input: "5", output: "" },
+      { input: "1", output: "3" },
+    ],
+  };
+  const counts = await verifyExamples(fixture, DOUBLE, "double.py");
+
+  assert.deepEqual(counts, {
+    verified: 1,
+    filled: 2,
+    mismatched: 1,
+    failed: 0,
+  });
+  assert.deepEqual(
+    fixture.examples.map((ex) => [ex.output, ex.verification.status]),
+    [
+      ["4", "verified"],
+      ["6", "filled"],
+      ["10", "filled"],
+      ["2", "mismatched"],
+    ]
+  );
+});
+
+test("filled examples are not shown as verified", () => {
+  const notice = verificationNotice({ verification: { status: "filled" } });
+  assert.equal(notice.style, "warning");
+  assert.match(notice.text, /^Unchecked/);
+});
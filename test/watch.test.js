@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { watchPaths } from "../src/watch.js";
+
+test("skips ignored directories, the output directory and test files", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "c2n-watch-"));
+  for (const dir of ["src", "node_modules/dep", "notes"]) {
+    fs.mkdirSync(path.join(root, dir), { recursive: true });
+  }
+
+  const changed = [];
+  const stop = watchPaths([root], (file) => changed.push(file), {
+    debounceMs: 20,
+    ignoreDirs: [path.join(root, "notes")],
+  });
+  try {
+    await sleep(100);
+    fs.writeFileSync(path.join(root, "node_modules/dep/index.js"), "1");
+    fs.writeFileSync(path.join(root, "notes/one.test.sh"), "1");
+    fs.writeFileSync(path.join(root, "src/one.test.py"), "1");
+    fs.writeFileSync(path.join(root, "src/one.py"), "1");
+    await sleep(500);
+  } finally {
+    stop();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  assert.deepEqual(changed, [path.join(root, "src/one.py")]);
+});